@@ -9,6 +9,11 @@
 // @grant        GM_getValue
 // @grant        GM_setValue
 // @grant        GM_deleteValue
+// @grant        GM_listValues
+// @grant        GM_xmlhttpRequest
+// @grant        unsafeWindow
+// @connect      localhost
+// @connect      127.0.0.1
 // ==/UserScript>
 
 (() => {
@@ -18,23 +23,176 @@
   // Constants
   // ──────────────────────────────────────────────────────────────────────────────
 
-  /** Storage keys (bump suffix when schema changes). */
-  const STORE_KEY = 'gmSlackPresence.v2';
-  const PREF_KEY  = 'gmSlackPresence.prefs.v2';
+  /** Storage keys (bump suffix when schema changes); store, prefs and lease get a `.<TEAM>` suffix. */
+  const STORE_KEY      = 'gmSlackPresence.v2';
+  const PREF_KEY       = 'gmSlackPresence.prefs.v2';
+  const LEADER_KEY     = 'gmSlackPresence.leader.v2';
+  const WORKSPACES_KEY = 'gmSlackPresence.workspaces.v2';
+  const STORE_REV_KEY  = 'gmSlackPresence.rev.v2';
+  /** Global (all workspaces) recording pause and the per-installation salt of export pseudonyms. */
+  const PAUSE_KEY      = 'gmSlackPresence.paused.v2';
+  const ANON_SALT_KEY  = 'gmSlackPresence.anonSalt.v2';
+  /** Global privacy settings: per-workspace ids excluded from recording and the retention cap (days). */
+  const NO_TRACK_KEY   = 'gmSlackPresence.noTrack.v2';
+  const RETENTION_KEY  = 'gmSlackPresence.retention.v2';
+  /** Per-workspace HTTP push: events not yet delivered and the recent send attempts. */
+  const PUSH_QUEUE_KEY = 'gmSlackPresence.push.v2';
+  const PUSH_LOG_KEY   = 'gmSlackPresence.pushLog.v2';
 
-  /** Slack DOM selectors. */
+  /** Version of the in-page API (`window.slackPresenceOverlay`); bumped on incompatible changes. */
+  const API_VERSION      = 1;
+  const API_GLOBAL       = 'slackPresenceOverlay';
+  const API_EVENT_PREFIX = 'slack-presence:';
+
+  /** HTTP push delivery limits. */
+  const PUSH_TIMEOUT_MS   = 15_000;
+  const PUSH_RETRY_MIN_MS = 5_000;      // first retry after a failed send, doubled per failure …
+  const PUSH_RETRY_MAX_MS = 10 * 60_000; // … up to this
+  const PUSH_QUEUE_MAX    = 5_000;      // oldest events are dropped beyond this while the endpoint is down
+  const PUSH_LOG_MAX      = 30;
+
+  /** Cross-tab coordination: one leader tab samples, the others only render. */
+  const CHANNEL_NAME  = 'gmSlackPresence';
+  const LEASE_MS      = 15_000;   // leader lease expires when not renewed (closed / sleeping tab)
+  const HEARTBEAT_MS  = 5_000;    // lease renewal and takeover check cadence
+  const MIN_SCAN_GAP  = 0.8;      // fraction of scanIntervalMs that must pass between two samples
+
+  /** Hours with fewer scans than this share of the expected ones render as partially observed. */
+  const FULL_COVERAGE = 0.9;
+
+  /** A user unseen for this many scan intervals ends their session (sleeping laptop, closed tab). */
+  const SESSION_GAP_SCANS = 3;
+
+  /** "Everyone offline" is only suspicious with at least this many users in view. */
+  const HEALTH_MIN_USERS = 3;
+
+  /**
+   * Sidebar selector profiles, tried in order when the current one stops matching the page
+   * (see the selector health check). Each one overrides the sidebar keys of `SEL`. Profiles using
+   * `:has()` are dropped where the browser lacks it, since querying them would throw.
+   */
+  const SEL_PROFILES = [
+    {
+      profile: 'classic',
+      anyRow: '.p-channel_sidebar__channel',
+      dmRow : '.p-channel_sidebar__channel[data-qa-channel-sidebar-channel-type="im"]',
+      mpimRow: '.p-channel_sidebar__channel[data-qa-channel-sidebar-channel-type="mpim"]',
+      sidebarList: '.p-channel_sidebar__list',
+      rowName: '.p-channel_sidebar__name',
+      rowAvatar: '.p-channel_sidebar__user_avatar img, .p-channel_sidebar__mpim_avatars img',
+      presence: '.c-avatar__presence [data-qa="presence_indicator"]',
+      awayClass: 'p-channel_sidebar__name--away'
+    },
+    {
+      profile: 'data-qa',
+      anyRow: '[data-qa-channel-sidebar-channel-id]',
+      dmRow : '[data-qa-channel-sidebar-channel-type="im"]',
+      mpimRow: '[data-qa-channel-sidebar-channel-type="mpim"]',
+      sidebarList: '[data-qa="channel_sidebar"], .p-channel_sidebar__list',
+      rowName: '[data-qa^="channel_sidebar_name"], .p-channel_sidebar__name',
+      rowAvatar: '.c-avatar img, img',
+      presence: '[data-qa="presence_indicator"]',
+      awayClass: 'p-channel_sidebar__name--away'
+    },
+    {
+      profile: 'tree',
+      anyRow: '[role="treeitem"]',
+      dmRow : '[role="treeitem"]:has([data-qa="presence_indicator"])',
+      mpimRow: '[role="treeitem"]:has(.p-channel_sidebar__mpim_avatars)',
+      sidebarList: '[role="tree"]',
+      rowName: '[data-qa^="channel_sidebar_name"], .p-channel_sidebar__name, [dir="auto"]',
+      rowAvatar: 'img',
+      presence: '[data-qa="presence_indicator"]',
+      awayClass: 'p-channel_sidebar__name--away'
+    }
+  ].filter((p) => !Object.values(p).some((v) => v.includes(':has(')) || window.CSS?.supports?.('selector(:has(a))'));
+
+  /** Slack DOM selectors (sidebar keys come from the active entry of `SEL_PROFILES`). */
   const SEL = {
-    anyRow: '.p-channel_sidebar__channel',
-    dmRow : '.p-channel_sidebar__channel[data-qa-channel-sidebar-channel-type="im"]',
-    sidebarList: '.p-channel_sidebar__list'
+    ...SEL_PROFILES[0],
+    teamName: '.p-ia4_home_header_menu__team_name, .p-ia__sidebar_header__team_name',
+    // Extra presence sources (open channel member lists and profile popovers / hover cards)
+    memberItem: '[data-qa="channel_members_modal_member"], [data-qa="member_list_item"], .c-member_list__item',
+    memberName: '[data-qa="member_name"], .c-member__display-name, .c-member_name',
+    profileCard: '[data-qa="member_profile"], [data-qa="user_profile_hover_card"], .p-r_member_profile__container',
+    profileName: '[data-qa="member_profile_name"], .p-r_member_profile__name__text, .c-member_name',
+    profilePresence: '[data-qa="member_profile_presence"], .p-r_member_profile__presence'
   };
 
-  /** Presence thresholds and cadence (UI only; logging cadence unchanged). */
+  /** Presence thresholds and cadence (editable in the settings view). */
   const DEFAULT_PREFS = {
     scanIntervalMs: 60_000,
     horizonDays: 10,           // 10 rows (today first row)
     activeThresholdMin: 1,     // >=1 minute inside the hour -> active
-    overlayFilter: 'all'       // 'all' | 'active' | 'inactive' | 'vacation'
+    displayTimeZone: 'local',  // 'local' | 'UTC' | IANA zone such as 'Europe/Berlin'
+    overlayFilter: 'all',      // 'all' | 'active' | 'inactive' | 'vacation'
+    watch: {},                 // { [userId]: { online, dndEnd, vacation } } alert rules per watched user
+    alertCooldownMin: 15,      // minimum gap between two alerts of the same rule for the same user
+    quietStart: 22,            // no alerts from this hour (display zone) …
+    quietEnd: 7,               // … until this hour; equal hours disable quiet hours
+    groups: {},                // { [groupName]: [userId, …] }
+    collapsedGroups: {},       // { [groupName]: true }; '' is the "Ungrouped" section
+    absenceRules: null,        // null = DEFAULT_ABSENCE_RULES; edited as JSON in the settings
+    overlayRect: null,         // { left, top, width, height } in px once moved/resized; null = docked right
+    overlayCollapsed: false,   // shown as a small pill with the active count
+    toggleHotkey: 'Alt+Shift+P', // shows/hides the overlay; '' disables it
+    rollupDays: 365,           // daily summaries are kept this long after hourly buckets expire
+    maxRetentionDays: 0,       // mirror of RETENTION_KEY: hard limit for all workspaces, overrides horizon and summaries; 0 = off
+    pushUrl: '',               // POST scan results as JSON to this URL; '' = off
+    pushMode: 'changes',       // 'changes' (presence/absence changes only) | 'scans' (every scan)
+    pushAuth: '',              // sent as the Authorization header, e.g. 'Bearer <token>'
+    pushBatchSize: 50,         // events per request
+    pushDelaySec: 60           // a partial batch waits at most this long
+  };
+
+  /**
+   * Absence detection rules, first match wins. `emoji` are emoji names (alt / data-stringify-emoji,
+   * custom emoji included), `codes` are code points found in the emoji image URL, `text` is a
+   * case-insensitive regex on the status text.
+   */
+  const DEFAULT_ABSENCE_RULES = [
+    { category: 'parental', icon: '👶', label: 'Parental leave', emoji: ['baby'], codes: ['1f476'],
+      text: '\\belternzeit\\b|\\bparental leave\\b' },
+    { category: 'sick', icon: '🤒', label: 'Sick', emoji: ['face_with_thermometer', 'mask', 'sneezing_face'], codes: ['1f912', '1f637', '1f927'],
+      text: '\\bsick\\b|\\bkrank\\b' },
+    { category: 'travel', icon: '✈️', label: 'Travel', emoji: ['airplane', 'airplane_departure'], codes: ['2708', '1f6eb'],
+      text: '\\btravel(l?ing)?\\b|\\bdienstreise\\b' },
+    { category: 'vacation', icon: '🌴', label: 'Vacation', emoji: ['palm_tree', 'desert_island', 'beach_with_umbrella'], codes: ['1f334', '1f3dd', '1f3d6'],
+      text: '\\bvacation\\b|\\booo\\b|\\bout of office\\b|\\burlaub\\b|\\bpto\\b' }
+  ];
+
+  /**
+   * Prefs editable in the settings view; `scale` converts the shown unit to the stored value.
+   * A `storageKey` field is global: saved under that key for every workspace and left alone by a reset.
+   */
+  const PREF_FIELDS = [
+    { key: 'scanIntervalMs',     label: 'Scan interval',    type: 'number', unit: 'sec',      min: 10, max: 600, scale: 1000 },
+    { key: 'horizonDays',        label: 'History horizon',  type: 'number', unit: 'days',     min: 1,  max: 60 },
+    { key: 'rollupDays',         label: 'Daily summaries',  type: 'number', unit: 'days',     min: 0,  max: 1830 },
+    { key: 'maxRetentionDays',   label: 'Maximum retention', type: 'number', unit: 'days, all workspaces, 0 = off', min: 0, max: 1830,
+      storageKey: RETENTION_KEY },
+    { key: 'activeThresholdMin', label: 'Active threshold', type: 'number', unit: 'min/hour', min: 1,  max: 60 },
+    { key: 'overlayFilter',      label: 'List filter',      type: 'select', options: ['all', 'active', 'inactive', 'vacation'] },
+    { key: 'displayTimeZone',    label: 'Display time zone', type: 'text', placeholder: 'local, UTC or Europe/Berlin',
+      validate: (v) => (v === 'local' || isValidTimeZone(v) ? null : 'Use local, UTC or an IANA zone like Europe/Berlin') },
+    { key: 'alertCooldownMin',   label: 'Alert cooldown',   type: 'number', unit: 'min',      min: 0,  max: 1440 },
+    { key: 'quietStart',         label: 'Quiet hours from', type: 'number', unit: 'h',        min: 0,  max: 23 },
+    { key: 'quietEnd',           label: 'Quiet hours until', type: 'number', unit: 'h',       min: 0,  max: 23 },
+    { key: 'toggleHotkey',       label: 'Toggle shortcut',  type: 'text', placeholder: 'Alt+Shift+P, empty = off',
+      validate: (v) => (v === '' || parseHotkey(v) ? null : 'Use modifiers plus a key, e.g. Alt+Shift+P or Ctrl+Alt+U') },
+    { key: 'pushUrl',            label: 'Push to URL',      type: 'text', placeholder: 'http://localhost:8787/presence, empty = off',
+      validate: (v) => (v === '' || /^https?:\/\/[^\s/]+/.test(v) ? null : 'Use an http(s) URL or leave it empty') },
+    { key: 'pushMode',           label: 'Push mode',        type: 'select', options: ['changes', 'scans'] },
+    { key: 'pushAuth',           label: 'Authorization header', type: 'text', placeholder: 'Bearer <token>, empty = none', secret: true },
+    { key: 'pushBatchSize',      label: 'Push batch size',  type: 'number', unit: 'events',   min: 1,  max: 500 },
+    { key: 'pushDelaySec',       label: 'Push delay',       type: 'number', unit: 'sec',      min: 0,  max: 3600 }
+  ];
+
+  /** Watchlist alert rules (per watched user) and their labels. */
+  const ALERT_RULES = {
+    online:   { short: 'online',   text: 'comes online' },
+    dndEnd:   { short: 'DND ends', text: 'leaves DND' },
+    vacation: { short: 'vacation', text: 'sets a vacation status' }
   };
 
   /** Centralized presence constants and labels. */
@@ -58,7 +216,7 @@
     get(key, fallback) {
       try {
         const raw = gmAvailable ? GM_getValue(key, 'null') : localStorage.getItem(key);
-        return raw ? JSON.parse(raw) : fallback;
+        return (raw ? JSON.parse(raw) : null) ?? fallback;
       } catch (_) { return fallback; }
     },
     set(key, value) {
@@ -67,6 +225,15 @@
     },
     del(key) {
       gmAvailable ? GM_deleteValue(key) : localStorage.removeItem(key);
+    },
+    /** Stored length of a value in characters (0 when missing). */
+    size(key) {
+      const raw = gmAvailable ? GM_getValue(key, '') : localStorage.getItem(key);
+      return typeof raw === 'string' ? raw.length : 0;
+    },
+    keys() {
+      if (typeof GM_listValues === 'function') return GM_listValues();
+      return gmAvailable ? [] : Object.keys(localStorage);
     }
   };
 
@@ -74,7 +241,34 @@
   const $  = (sel, root = document) => root.querySelector(sel);
   const $$ = (sel, root = document) => Array.from(root.querySelectorAll(sel));
 
-  /** Time helpers (UTC-consistent for keys and pruning). */
+  /**
+   * Safe markup: `html` escapes every interpolated value unless it is itself `html` output
+   * (arrays are joined). All names, statuses and URLs from Slack or imports go through here.
+   */
+  const SAFE = Symbol('safeHtml');
+  const escapeHtml = (v) => String(v).replace(/[&<>"']/g, (c) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[c]);
+  const toHtml = (v) => {
+    if (v == null || v === false) return '';
+    if (Array.isArray(v)) return v.map(toHtml).join('');
+    return typeof v === 'object' && SAFE in v ? v[SAFE] : escapeHtml(v);
+  };
+  const html = (strings, ...values) => {
+    const out = strings.reduce((acc, str, i) => acc + toHtml(values[i - 1]) + str);
+    return { [SAFE]: out, toString: () => out };
+  };
+
+  /** Image URLs are only used when they point to Slack's own hosts (avatars, emoji). */
+  const SLACK_IMG_HOST = /(^|\.)(slack-edge\.com|slack-imgs\.com|slack-files\.com|slack\.com)$/;
+  const safeImgUrl = (url) => {
+    try {
+      const u = new URL(url);
+      return u.protocol === 'https:' && SLACK_IMG_HOST.test(u.hostname) ? u.href : '';
+    } catch (_) {
+      return '';
+    }
+  };
+
+  /** Time helpers (UTC-consistent for keys and pruning; display helpers use the display zone). */
   const now = () => new Date();
 
   const toUtcHourKey = (d = now()) => {
@@ -91,8 +285,84 @@
     return new Date(base - days * 86_400_000);
   };
 
+  const isValidTimeZone = (tz) => {
+    try { new Intl.DateTimeFormat('en-US', { timeZone: tz }); return true; } catch (_) { return false; }
+  };
+
+  /** Display zone for Intl (`undefined` = browser local). */
+  const displayZone = () => (prefs.displayTimeZone === 'local' ? undefined : prefs.displayTimeZone);
+
+  /** Calendar parts of an instant in the display zone: `{ dayKey: 'YYYY-MM-DD', hour, minute, weekday }`. */
+  const zonedFormats = new Map();
+  const zonedParts = (ts) => {
+    const tz = displayZone();
+    let fmt = zonedFormats.get(tz);
+    if (!fmt) {
+      fmt = new Intl.DateTimeFormat('en-US', {
+        timeZone: tz, hourCycle: 'h23', weekday: 'short',
+        year: 'numeric', month: '2-digit', day: '2-digit', hour: '2-digit', minute: '2-digit'
+      });
+      zonedFormats.set(tz, fmt);
+    }
+    const p = {};
+    for (const { type, value } of fmt.formatToParts(ts)) p[type] = value;
+    return { dayKey: `${p.year}-${p.month}-${p.day}`, hour: Number(p.hour) % 24, minute: Number(p.minute), weekday: p.weekday };
+  };
+
+  /** Calendar day arithmetic on a `YYYY-MM-DD` key (independent of day length). */
+  const shiftDayKey = (dayKey, days) => {
+    const d = new Date(`${dayKey}T12:00:00Z`);
+    d.setUTCDate(d.getUTCDate() + days);
+    return d.toISOString().slice(0, 10);
+  };
+
+  /** "Mon, 10/14" for a day key. */
+  const fmtDayKey = (dayKey) =>
+    new Date(`${dayKey}T12:00:00Z`).toLocaleDateString('en-US', { timeZone: 'UTC', weekday: 'short', month: '2-digit', day: '2-digit' });
+
+  /** Instant of the display-zone midnight that starts the day containing `ts` (23/25 h days aware). */
+  const zonedDayStart = (ts) => {
+    const p = zonedParts(ts);
+    let start = Math.floor(ts / 60_000) * 60_000 - (p.hour * 60 + p.minute) * 60_000;
+    // A DST switch between midnight and `ts` shifts the guess by one hour; correct it.
+    const q = zonedParts(start);
+    if (q.dayKey !== p.dayKey) start += 3_600_000;
+    else if (q.hour) start -= q.hour * 3_600_000;
+    return start;
+  };
+
+  /**
+   * Display-zone day rows for heatmaps, newest first. Each row holds 24 local hours with the UTC hour
+   * keys falling into them: none for the hour skipped by DST, two for the repeated one.
+   */
+  const dayRowsCache = new Map();
+  const zonedDayRows = (days) => {
+    const lastHour = Math.floor(Date.now() / 3_600_000) * 3_600_000;
+    const cacheKey = `${days}|${prefs.displayTimeZone}|${lastHour}`;
+    if (dayRowsCache.has(cacheKey)) return dayRowsCache.get(cacheKey);
+
+    const today = zonedParts(Date.now()).dayKey;
+    const rows  = new Map();
+    for (let i = 0; i < days; i++) {
+      const dayKey = shiftDayKey(today, -i);
+      rows.set(dayKey, { dayKey, label: fmtDayKey(dayKey), hours: Array.from({ length: 24 }, () => []) });
+    }
+    const firstHour = Date.parse(`${shiftDayKey(today, -days)}T00:00:00Z`) - 86_400_000;
+    for (let t = firstHour; t <= lastHour; t += 3_600_000) {
+      const p = zonedParts(t);
+      rows.get(p.dayKey)?.hours[p.hour].push(new Date(t).toISOString());
+    }
+    // Rows only change with the hour (or zone); callers must treat them as read-only.
+    dayRowsCache.clear();
+    dayRowsCache.set(cacheKey, [...rows.values()]);
+    return dayRowsCache.get(cacheKey);
+  };
+
+  /** Monday-first weekday index (0…6) of a day key. */
+  const weekdayOf = (dayKey) => (new Date(`${dayKey}T12:00:00Z`).getUTCDay() + 6) % 7;
+
   const padIntlTime = (d) =>
-    (d instanceof Date ? d : new Date(d)).toLocaleTimeString('en-US', { hour: '2-digit', minute: '2-digit' });
+    (d instanceof Date ? d : new Date(d)).toLocaleTimeString('en-US', { timeZone: displayZone(), hour: '2-digit', minute: '2-digit' });
 
   const fmtSince = (ts) => {
     if (!ts) return '–';
@@ -104,14 +374,40 @@
     return `${Math.floor(h / 24)} d`;
   };
 
-  /** Throttle helper. */
-  const throttle = (fn, ms) => {
+  /** Wall-clock time, e.g. "09:12". */
+  const fmtClock = (ts) =>
+    new Date(ts).toLocaleTimeString('en-US', { timeZone: displayZone(), hour: '2-digit', minute: '2-digit', hour12: false });
+
+  /** Short date in the display zone, e.g. "Oct 3". */
+  const fmtDate = (ts) => new Date(ts).toLocaleDateString('en-US', { timeZone: displayZone(), month: 'short', day: 'numeric' });
+
+  /** Weekday and time in the display zone, e.g. "Mon 08:02". */
+  const fmtWeekdayTime = (ts) =>
+    `${new Date(ts).toLocaleDateString('en-US', { timeZone: displayZone(), weekday: 'short' })} ${fmtClock(ts)}`;
+
+  /** Day and hour of a UTC hour key in the display zone, e.g. "Mon, 10/14 • 09:00". */
+  const fmtHourKey = (key) => {
+    const p = zonedParts(Date.parse(key));
+    return `${fmtDayKey(p.dayKey)} • ${String(p.hour).padStart(2, '0')}:${String(p.minute).padStart(2, '0')}`;
+  };
+
+  /** Duration, e.g. "25 min" or "2 h 05 min". */
+  const fmtDuration = (ms) => {
+    const min = Math.max(0, Math.round(ms / 60_000));
+    if (min < 60) return `${min} min`;
+    return `${Math.floor(min / 60)} h ${String(min % 60).padStart(2, '0')} min`;
+  };
+
+  /** Run `fn` at most every `ms`; with `trailing` the last call of a burst also runs once the wait is over. */
+  const throttle = (fn, ms, trailing = false) => {
     let t = 0;
+    let timer = 0;
     let last;
     return (...args) => {
       last = args;
       const n = Date.now();
-      if (n - t > ms) { t = n; fn(...last); }
+      if (n - t > ms) { t = n; clearTimeout(timer); timer = 0; fn(...last); return; }
+      if (trailing && !timer) timer = setTimeout(() => { t = Date.now(); timer = 0; fn(...last); }, ms - (n - t));
     };
   };
 
@@ -119,36 +415,578 @@
   // Preferences & Store
   // ──────────────────────────────────────────────────────────────────────────────
 
-  /** @type {typeof DEFAULT_PREFS} */
-  const prefs = Object.assign({}, DEFAULT_PREFS, Storage.get(PREF_KEY, {}));
-  const savePrefs = () => Storage.set(PREF_KEY, prefs);
+  /** Workspace (team) id from `app.slack.com/client/<TEAM>/…`; null outside a workspace. */
+  const teamFromUrl = () => (location.pathname.match(/^\/client\/([A-Z0-9]+)/i) || [])[1] || null;
 
-  /** Load / save presence store. */
-  const loadStore = () => Storage.get(STORE_KEY, { users: {} });
-  const saveStore = (s) => Storage.set(STORE_KEY, s);
+  /** Storage key scoped to a workspace (the unscoped legacy key when the team is unknown). */
+  const scopedKey = (base, team) => (team ? `${base}.${team}` : base);
 
-  /** Remove hourly buckets outside horizon (UTC-based). */
+  /** Workspace open in this tab (sampled, owns prefs) and workspace shown in the overlay. */
+  let liveTeam = teamFromUrl();
+  let viewTeam = liveTeam;
+
+  /**
+   * Per-workspace prefs; the legacy global prefs act as defaults.
+   * @type {typeof DEFAULT_PREFS}
+   */
+  const prefs = {};
+  const loadPrefs = () => {
+    for (const k of Object.keys(prefs)) delete prefs[k];
+    const defaults = JSON.parse(JSON.stringify(DEFAULT_PREFS));   // nested defaults must not be shared
+    Object.assign(prefs, defaults, Storage.get(PREF_KEY, {}), Storage.get(scopedKey(PREF_KEY, liveTeam), {}));
+    prefs.maxRetentionDays = Storage.get(RETENTION_KEY, 0);
+  };
+  const savePrefs = () => Storage.set(scopedKey(PREF_KEY, liveTeam), prefs);
+  loadPrefs();
+
+  /** Caches of values computed from a store object; `saveStore` drops them after in-place changes. */
+  const derivedCaches = [];
+  const derivedCache  = () => { const cache = new WeakMap(); derivedCaches.push(cache); return cache; };
+  const forgetDerived = (store) => derivedCaches.forEach((cache) => cache.delete(store));
+
+  /**
+   * Load / save presence store of a workspace (defaults to the one shown). Parsed stores are kept
+   * per workspace and shared by all readers in this tab; every write also stores a new revision
+   * under a small key, so a read only re-parses the history after another tab wrote it.
+   * Callers mutate the returned object only right before `saveStore`.
+   */
+  const storeCache = new Map();
+  const storeRev   = (team) => Storage.get(scopedKey(STORE_REV_KEY, team), '');
+  const loadStore = (team = viewTeam) => {
+    const rev = storeRev(team);
+    const hit = storeCache.get(team);
+    if (hit && hit.rev === rev) return hit.store;
+    const store = Storage.get(scopedKey(STORE_KEY, team), { users: {} });
+    storeCache.set(team, { rev, store });
+    return store;
+  };
+  const saveStore = (s, team = viewTeam) => {
+    const rev = `${Date.now().toString(36)}.${Math.random().toString(36).slice(2, 8)}`;
+    Storage.set(scopedKey(STORE_KEY, team), s);
+    Storage.set(scopedKey(STORE_REV_KEY, team), rev);
+    storeCache.set(team, { rev, store: s });
+    forgetDerived(s);
+  };
+  const deleteStore = (team = viewTeam) => {
+    Storage.del(scopedKey(STORE_KEY, team));
+    Storage.set(scopedKey(STORE_REV_KEY, team), `deleted.${Date.now().toString(36)}`);
+    storeCache.delete(team);
+  };
+
+  /** Adopt the pre-workspace (unscoped) history into the first workspace that is opened. */
+  const migrateLegacyStore = (team) => {
+    if (!team) return;
+    const legacy = Storage.get(STORE_KEY, null);
+    if (!legacy || Storage.get(scopedKey(STORE_KEY, team), null)) return;
+    saveStore(legacy, team);
+    Storage.del(STORE_KEY);
+  };
+  migrateLegacyStore(liveTeam);
+
+  /** Known workspaces `{ [team]: { name } }` for the overlay switcher. */
+  const loadWorkspaces = () => Storage.get(WORKSPACES_KEY, {});
+  const registerWorkspace = (team) => {
+    if (!team) return;
+    const all  = loadWorkspaces();
+    const name = extractTeamName() || all[team]?.name || team;
+    if (all[team]?.name === name) return;
+    all[team] = { name };
+    Storage.set(WORKSPACES_KEY, all);
+  };
+
+  /**
+   * Remove hourly buckets outside horizon (UTC-based); returns the number removed.
+   * One extra UTC day is kept so the oldest display-zone day stays complete for any offset.
+   */
   const pruneOld = (store) => {
+    rollupExpired(store);
     const keep = new Set();
-    for (let day = 0; day < prefs.horizonDays; day++) {
-      const start = utcStartOfDayMinus(prefs.horizonDays - 1 - day);
+    for (let day = 0; day <= prefs.horizonDays; day++) {
+      const start = utcStartOfDayMinus(prefs.horizonDays - day);
       for (let h = 0; h < 24; h++) {
         const key = new Date(start.getTime() + h * 3_600_000).toISOString();
         keep.add(key);
       }
     }
+    let removed = 0;
+    for (const u of Object.values(store.users)) {
+      for (const k of Object.keys(u.hourly || {})) if (!keep.has(k)) { delete u.hourly[k]; removed++; }
+    }
+    for (const k of Object.keys(store.scans || {})) if (!keep.has(k)) delete store.scans[k];
+
+    // Keep the last transition before the horizon so the first session inside it has a start state.
+    const cutoff = utcStartOfDayMinus(prefs.horizonDays).getTime();
+    for (const u of Object.values(store.users)) {
+      const list = u.transitions || [];
+      const first = list.findIndex((t) => t.ts >= cutoff);
+      if (first > 1) list.splice(0, first - 1);
+      else if (first === -1 && list.length > 1) list.splice(0, list.length - 1);
+      if (u.statusHistory) u.statusHistory = u.statusHistory.filter((st) => !st.end || st.end >= cutoff);
+    }
+
+    // Absences are kept as long as the daily summaries; an ongoing one stays however old.
+    const oldestDay = shiftDayKey(zonedParts(Date.now()).dayKey, -prefs.rollupDays);
+    const absCutoff = utcStartOfDayMinus(prefs.rollupDays).getTime();
+    for (const u of Object.values(store.users)) {
+      for (const day of Object.keys(u.daily || {})) if (day < oldestDay) delete u.daily[day];
+      if (u.absences) u.absences = u.absences.filter((ab) => !ab.end || ab.end >= absCutoff);
+    }
+    return removed + pruneRetention(store);
+  };
+
+  /**
+   * Enforce the global retention cap on everything stored about a user (today counts as day one).
+   * Read from storage on every run, so a cap set in another workspace's tab applies at the next scan.
+   * Unlike the horizon no transition before the limit is kept, so the first session may lack its start.
+   */
+  const pruneRetention = (store) => {
+    const days = Storage.get(RETENTION_KEY, 0);
+    if (!days) return 0;
+    const limit    = utcStartOfDayMinus(days - 1).getTime();
+    const limitKey = new Date(limit).toISOString();
+    const lastCutDay = zonedParts(limit - 1).dayKey;   // a summary of a day that started before the limit goes too
+    const clip     = (list) => (list || []).filter((x) => (x.end ?? Infinity) >= limit).map((x) => ({ ...x, start: Math.max(x.start, limit) }));
+    let removed = 0;
+    for (const [id, u] of Object.entries(store.users)) {
+      // Not seen since the limit: everything about this user is older than allowed.
+      if ((u.updatedAt || 0) < limit) { removed += Object.keys(u.hourly || {}).length; delete store.users[id]; continue; }
+      for (const k of Object.keys(u.hourly || {})) if (k < limitKey) { delete u.hourly[k]; removed++; }
+      for (const day of Object.keys(u.daily || {})) if (day <= lastCutDay) delete u.daily[day];
+      u.transitions = (u.transitions || []).filter((t) => t.ts >= limit);
+      if (u.absences) u.absences = clip(u.absences);
+      if (u.statusHistory) u.statusHistory = clip(u.statusHistory);
+      if (u.lastSeenActive < limit) u.lastSeenActive = null;
+    }
+    for (const k of Object.keys(store.scans || {})) if (k < limitKey) delete store.scans[k];
+    return removed;
+  };
+  /**
+   * Apply the retention cap to the stored workspaces nobody records right now (their own leader
+   * prunes at every scan). Runs at most hourly unless `force`d, e.g. after the cap changed.
+   */
+  let retentionSweepAt = 0;
+  const pruneIdleWorkspaces = (force = false) => {
+    if (!Storage.get(RETENTION_KEY, 0) || (!force && Date.now() - retentionSweepAt < 3_600_000)) return;
+    retentionSweepAt = Date.now();
+    for (const key of Storage.keys()) {
+      const team = key.startsWith(`${STORE_KEY}.`) ? key.slice(STORE_KEY.length + 1) : '';
+      if (!team || team.includes('.') || team === liveTeam) continue;
+      const lease = Storage.get(scopedKey(LEADER_KEY, team), null);
+      if (lease && Date.now() - lease.ts < LEASE_MS) continue;
+      const before = JSON.stringify(loadStore(team));
+      const store  = JSON.parse(before);
+      pruneRetention(store);
+      if (JSON.stringify(store) !== before) saveStore(store, team);
+    }
+  };
+
+
+  /**
+   * Daily summary of a user's hourly buckets (display-zone day): active/away/DND and observed minutes plus
+   * first and last active time. A bucket with fewer samples than a full hour of scans counts as
+   * partly observed; first/last come from the sessions when transitions cover that day.
+   */
+  const summarizeDay = (rec, keys, sessions = buildSessions(rec)) => {
+    const perHour = 3_600_000 / prefs.scanIntervalMs;
+    const sum = { a: 0, w: 0, d: 0, obs: 0, first: null, last: null };
+    const activeHours = [];
+    for (const k of keys) {
+      const hr = rec.hourly?.[k];
+      if (!hr?.t) continue;
+      const seen = 60 * Math.min(1, hr.t / perHour);
+      sum.obs += seen;
+      sum.a += seen * hr.a / hr.t;
+      sum.w += seen * hr.w / hr.t;
+      sum.d += seen * hr.d / hr.t;
+      if (hr.a) activeHours.push(Date.parse(k));
+    }
+    for (const f of ['a', 'w', 'd', 'obs']) sum[f] = Math.round(sum[f]);
+
+    const from = zonedDayStart(Date.parse(keys[0]));
+    const to   = zonedDayStart(from + 26 * 3_600_000);   // 23 or 25 h on DST days
+    const active = sessions.filter((ss) => ss.state === PRES.ACTIVE && ss.start < to && (ss.end || Date.now()) > from);
+    if (active.length) {
+      sum.first = Math.max(from, active[0].start);
+      sum.last  = Math.min(to, active[active.length - 1].end || Date.now());
+    } else if (activeHours.length) {
+      sum.first = Math.min(...activeHours);
+      sum.last  = Math.max(...activeHours) + 3_600_000;
+    }
+    return sum;
+  };
+
+  /** Hourly keys of a record grouped by display-zone day: `{ 'YYYY-MM-DD': [keys…] }`. */
+  const hourlyByDay = (rec) => {
+    const days = {};
+    for (const k of Object.keys(rec.hourly || {}).sort()) {
+      const day = zonedParts(Date.parse(k)).dayKey;
+      (days[day] = days[day] || []).push(k);
+    }
+    return days;
+  };
+
+  /**
+   * Compact the days `pruneOld` is about to drop into `rec.daily` (kept for `rollupDays`). A day is
+   * summarized whole as soon as its first hour expires, since pruning runs on UTC days.
+   */
+  const rollupExpired = (store) => {
+    const firstKept = utcStartOfDayMinus(prefs.horizonDays).toISOString();
+    for (const u of Object.values(store.users)) {
+      const expired = Object.entries(hourlyByDay(u)).filter(([, keys]) => keys[0] < firstKept);
+      if (!expired.length) continue;
+      const sessions = buildSessions(u);
+      u.daily = u.daily || {};
+      for (const [day, keys] of expired) if (!u.daily[day]) u.daily[day] = summarizeDay(u, keys, sessions);
+    }
+  };
+
+  /** Daily summaries for a record: stored rollups plus the days still held (and not yet partly pruned) as hourly buckets. */
+  const dailySummaries = (rec) => {
+    const out = { ...(rec?.daily || {}) };
+    if (!rec) return out;
+    const sessions = buildSessions(rec);
+    for (const [day, keys] of Object.entries(hourlyByDay(rec))) out[day] = out[day] || summarizeDay(rec, keys, sessions);
+    return out;
+  };
+
+  /** Scans per hour key; hours logged before `scans` existed fall back to the largest per-user sample count. */
+  const scanIndexCache = derivedCache();
+  const scanIndex = (store) => {
+    let idx = scanIndexCache.get(store);
+    if (idx) return idx;
+    idx = {};
     for (const u of Object.values(store.users)) {
-      for (const k of Object.keys(u.hourly || {})) if (!keep.has(k)) delete u.hourly[k];
+      for (const [k, hr] of Object.entries(u.hourly || {})) idx[k] = Math.max(idx[k] || 0, hr.t | 0);
+    }
+    Object.assign(idx, store.scans);
+    scanIndexCache.set(store, idx);
+    return idx;
+  };
+
+  /**
+   * Share of expected scans that actually ran in the given hours (0…1); the current hour counts elapsed time only.
+   * With `rec`, only scans that sampled that user count: people seen just in member lists or profile
+   * cards are unobserved, not offline, between those sightings.
+   */
+  const hourCoverage = (store, keys, rec = null) => {
+    let expected = 0;
+    let got = 0;
+    for (const key of keys) {
+      const span = Math.min(3_600_000, Date.now() - Date.parse(key));
+      if (span <= 0) continue;
+      expected += Math.max(1, Math.floor(span / prefs.scanIntervalMs));
+      got += rec ? rec.hourly?.[key]?.t | 0 : scanIndex(store)[key] || 0;
+    }
+    return expected ? Math.min(1, got / expected) : 0;
+  };
+
+  /** Sum of a record's buckets over one or more hour keys (the repeated DST hour has two). */
+  const bucketOver = (rec, keys) => {
+    let out = null;
+    for (const k of keys) {
+      const hr = rec?.hourly?.[k];
+      if (!hr) continue;
+      out = out || { a: 0, w: 0, d: 0, t: 0 };
+      out.a += hr.a | 0; out.w += hr.w | 0; out.d += hr.d | 0; out.t += hr.t | 0;
+    }
+    return out;
+  };
+
+  /** Presence class of one hourly bucket: a(ctive), d(nd), w (away) or i(nactive). */
+  const bucketClass = (hr) => {
+    if (!hr) return 'i';
+    if ((hr.a | 0) >= prefs.activeThresholdMin) return 'a';
+    if ((hr.d | 0) >= prefs.activeThresholdMin) return 'd';
+    if ((hr.w | 0) >= prefs.activeThresholdMin) return 'w';
+    return 'i';
+  };
+
+  /** Heatmap cell for one hour (key or keys): `n` when the script was not running, plus `p` when only partially observed. */
+  const hourCell = (store, rec, keys) => {
+    keys = [].concat(keys);
+    const hr  = bucketOver(rec, keys);
+    const cov = hourCoverage(store, keys, rec);
+    if (!cov && !hr) return { cls: 'n', cov };
+    const cls = bucketClass(hr);
+    return { cls: cov < FULL_COVERAGE ? `${cls} p` : cls, cov };
+  };
+
+  /** Hover text suffix for a cell's observation coverage. */
+  const coverageText = (cov) => (cov ? `observed ${Math.round(cov * 100)}%` : 'not observed');
+
+  /**
+   * Rebuild presence sessions `{ state, start, end }` from a record's transitions.
+   * `end` is null for the ongoing session; a transition to null closes a session without opening one.
+   */
+  const buildSessions = (rec) => {
+    const out = [];
+    let cur = null;
+    for (const t of rec?.transitions || []) {
+      if (cur) cur.end = t.ts;
+      cur = t.to ? { state: t.to, start: t.ts, end: null } : null;
+      if (cur) out.push(cur);
+    }
+    // Nobody is sampling this user any more: the session ended at the last observation.
+    if (cur && Date.now() - (rec.updatedAt || 0) > SESSION_GAP_SCANS * prefs.scanIntervalMs) cur.end = rec.updatedAt;
+    return out;
+  };
+
+  /** Coerce an (imported) user record into the current schema. */
+  const normalizeRecord = (id, src) => {
+    const str = (v) => (typeof v === 'string' ? v : '');
+    const num = (v) => (Number.isFinite(v) ? v : null);
+    const hourly = {};
+    for (const [k, hr] of Object.entries(src.hourly || {})) {
+      if (!hr || typeof hr !== 'object' || Number.isNaN(Date.parse(k))) continue;
+      hourly[k] = { a: hr.a | 0, w: hr.w | 0, d: hr.d | 0, t: hr.t | 0 };
+    }
+    const state = (v) => (Object.values(PRES).includes(v) ? v : null);
+    const transitions = (Array.isArray(src.transitions) ? src.transitions : [])
+      .filter((t) => t && Number.isFinite(t.ts))
+      .map((t) => ({ ts: t.ts, from: state(t.from), to: state(t.to) }));
+    const absences = (Array.isArray(src.absences) ? src.absences : [])
+      .filter((a) => a && Number.isFinite(a.start) && typeof a.category === 'string')
+      .map((a) => ({ category: a.category, icon: str(a.icon), label: str(a.label) || a.category, text: str(a.text),
+        start: a.start, end: Number.isFinite(a.end) ? a.end : null }));
+    const statusHistory = (Array.isArray(src.statusHistory) ? src.statusHistory : [])
+      .filter((st) => st && Number.isFinite(st.start))
+      .map((st) => ({ text: str(st.text), emoji: str(st.emoji), short: str(st.short), src: safeImgUrl(st.src),
+        start: st.start, end: Number.isFinite(st.end) ? st.end : null }));
+    const daily = {};
+    for (const [day, sum] of Object.entries(src.daily && typeof src.daily === 'object' ? src.daily : {})) {
+      if (!/^\d{4}-\d{2}-\d{2}$/.test(day) || !sum || typeof sum !== 'object') continue;
+      daily[day] = { a: sum.a | 0, w: sum.w | 0, d: sum.d | 0, obs: sum.obs | 0, first: num(sum.first), last: num(sum.last) };
+    }
+    return {
+      id,
+      name: str(src.name),
+      // Text is escaped when rendered; image URLs from files are dropped unless they are Slack's.
+      avatar: safeImgUrl(src.avatar),
+      lastSeenActive: num(src.lastSeenActive),
+      lastStatus: Object.values(PRES).includes(src.lastStatus) ? src.lastStatus : PRES.OFF,
+      updatedAt: num(src.updatedAt),
+      customStatusEmoji: str(src.customStatusEmoji),
+      customStatusEmojiShort: str(src.customStatusEmojiShort),
+      customStatusText: str(src.customStatusText),
+      customStatusSrc: safeImgUrl(src.customStatusSrc),
+      hourly,
+      transitions,
+      absences,
+      statusHistory,
+      daily
+    };
+  };
+
+  /** Keys from imported JSON that must not become property names of plain objects. */
+  const unsafeKey = (k) => k in Object.prototype || k === 'prototype';
+
+  /** Timestamp used to decide which copy of a record carries the newer profile data. */
+  const recordRecency = (rec) => Math.max(rec.updatedAt || 0, rec.lastSeenActive || 0);
+
+  /**
+   * Merge an exported store into `target` (mutated). Overlapping hourly buckets are
+   * never summed: the bucket with more samples wins, so re-importing is idempotent.
+   */
+  const mergeStores = (target, incoming, excluded = new Set()) => {
+    const stats = { added: 0, updated: 0, bucketsAdded: 0, bucketsReplaced: 0 };
+    const aliases = target.aliases || {};
+    for (const [channelId, id] of Object.entries(incoming.aliases && typeof incoming.aliases === 'object' ? incoming.aliases : {})) {
+      if (typeof id === 'string' && !unsafeKey(channelId) && !unsafeKey(id)) aliases[channelId] = id;
+    }
+    if (Object.keys(aliases).length) target.aliases = aliases;
+    for (const [rawId, raw] of Object.entries(incoming.users && typeof incoming.users === 'object' ? incoming.users : {})) {
+      if (!raw || typeof raw !== 'object' || unsafeKey(rawId)) continue;
+      const id  = Object.hasOwn(aliases, rawId) ? aliases[rawId] : rawId;
+      // Importing must not bring back people who asked not to be tracked.
+      if (excluded.has(id)) continue;
+      const src = normalizeRecord(id, raw);
+      const dst = target.users[id];
+      if (!dst) {
+        target.users[id] = src;
+        stats.added++;
+        stats.bucketsAdded += Object.keys(src.hourly).length;
+        continue;
+      }
+      if (mergeRecord(dst, src, stats)) stats.updated++;
+    }
+    // Scan counts are per hour, not per user: keep the fuller count like the buckets above.
+    for (const [k, n] of Object.entries(incoming.scans || {})) {
+      if (Number.isNaN(Date.parse(k)) || !Number.isFinite(n)) continue;
+      target.scans = target.scans || {};
+      target.scans[k] = Math.max(target.scans[k] || 0, n | 0);
+    }
+    return stats;
+  };
+
+  /** Merge a normalized record into an existing one (mutated); returns whether anything changed. */
+  const mergeRecord = (dst, src, stats = { bucketsAdded: 0, bucketsReplaced: 0 }) => {
+    let changed = false;
+    dst.hourly = dst.hourly || {};
+    for (const [k, hr] of Object.entries(src.hourly)) {
+      const cur = dst.hourly[k];
+      if (cur && (cur.t | 0) >= hr.t) continue;
+      dst.hourly[k] = hr;
+      cur ? stats.bucketsReplaced++ : stats.bucketsAdded++;
+      changed = true;
+    }
+
+    // The newer copy wins, including a custom status it no longer has; an empty name or avatar is
+    // missing data rather than a change.
+    const newer = recordRecency(src) > recordRecency(dst);
+    if (newer) {
+      if (src.name) dst.name = src.name;
+      if (src.avatar) dst.avatar = src.avatar;
+      for (const f of ['lastStatus', 'customStatusEmoji', 'customStatusEmojiShort', 'customStatusText', 'customStatusSrc']) {
+        dst[f] = src[f];
+      }
+      changed = true;
+    }
+    const seen = new Set((dst.transitions || []).map((t) => `${t.ts}:${t.to}`));
+    const extra = src.transitions.filter((t) => !seen.has(`${t.ts}:${t.to}`));
+    if (extra.length) {
+      dst.transitions = [...(dst.transitions || []), ...extra].sort((a, b) => a.ts - b.ts);
+      changed = true;
+    }
+
+    /** Add unknown periods; a period both copies have takes the newer copy's end (ended or still open). */
+    const mergePeriods = (mine, theirs, keyOf) => {
+      const known = new Map((mine || []).map((x) => [keyOf(x), x]));
+      const added = [];
+      for (const x of theirs) {
+        const cur = known.get(keyOf(x));
+        if (!cur) added.push(x);
+        else if (newer && cur.end !== x.end) { cur.end = x.end; changed = true; }
+      }
+      if (!added.length) return mine;
+      changed = true;
+      return [...(mine || []), ...added].sort((a, b) => a.start - b.start);
+    };
+    const absences = mergePeriods(dst.absences, src.absences, (a) => `${a.start}:${a.category}`);
+    if (absences) dst.absences = absences;
+    const statusHistory = mergePeriods(dst.statusHistory, src.statusHistory, (st) => `${st.start}:${st.text}`);
+    if (statusHistory) dst.statusHistory = statusHistory;
+
+    // Two summaries of the same day: keep the better observed one.
+    for (const [day, sum] of Object.entries(src.daily)) {
+      if (dst.daily?.[day] && dst.daily[day].obs >= sum.obs) continue;
+      dst.daily = dst.daily || {};
+      dst.daily[day] = sum;
+      changed = true;
+    }
+
+    if ((src.lastSeenActive || 0) > (dst.lastSeenActive || 0)) dst.lastSeenActive = src.lastSeenActive;
+    dst.updatedAt = Math.max(dst.updatedAt || 0, src.updatedAt || 0) || null;
+    return changed;
+  };
+
+  // ──────────────────────────────────────────────────────────────────────────────
+  // Multi-tab coordination (leader election over a storage lease + BroadcastChannel)
+  // ──────────────────────────────────────────────────────────────────────────────
+
+  const TAB_ID  = `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+  const channel = typeof BroadcastChannel === 'function' ? new BroadcastChannel(CHANNEL_NAME) : null;
+  const broadcast = (type, data = {}) => channel?.postMessage({ type, from: TAB_ID, ...data });
+
+  const Leader = {
+    isLeader: false,
+    claiming: false,
+
+    /** Current lease holder or null when the lease is free or expired. */
+    holder() {
+      const lease = Storage.get(scopedKey(LEADER_KEY, liveTeam), null);
+      return (lease && Date.now() - lease.ts < LEASE_MS) ? lease.id : null;
+    },
+
+    /** Renew our lease, step down when another tab holds it, or try to take over a free one. */
+    tick() {
+      const holder = Leader.holder();
+      if (holder === TAB_ID) {
+        Storage.set(scopedKey(LEADER_KEY, liveTeam), { id: TAB_ID, ts: Date.now() });
+        Leader.setRole(true);
+      } else if (holder) {
+        Leader.setRole(false);
+      } else if (!Leader.claiming) {
+        // Write, then re-read after a random delay: the last writer wins a simultaneous claim.
+        Leader.claiming = true;
+        Storage.set(scopedKey(LEADER_KEY, liveTeam), { id: TAB_ID, ts: Date.now() });
+        setTimeout(() => {
+          Leader.claiming = false;
+          Leader.setRole(Leader.holder() === TAB_ID);
+        }, 200 + Math.random() * 300);
+      }
+    },
+
+    /** Re-validate leadership right before writing (a woken-up tab may have been replaced). */
+    check() {
+      if (Leader.isLeader && Leader.holder() !== TAB_ID) Leader.setRole(false);
+      return Leader.isLeader;
+    },
+
+    setRole(leader) {
+      if (Leader.isLeader === leader) return;
+      Leader.isLeader = leader;
+      const pulse = $('#gmAU_Pulse');
+      if (pulse) {
+        pulse.classList.toggle('follower', !leader);
+        pulse.title = leader ? 'Sampling presence in this tab' : 'Display only – another Slack tab samples presence';
+      }
+    },
+
+    /** Release the lease so a follower can take over without waiting for expiry. */
+    resign() {
+      if (!Leader.isLeader) return;
+      if (Leader.holder() === TAB_ID) Storage.del(scopedKey(LEADER_KEY, liveTeam));
+      Leader.setRole(false);
+      broadcast('resign', { team: liveTeam });
+    },
+
+    start() {
+      channel?.addEventListener('message', (e) => {
+        const msg = e.data || {};
+        if (msg.from === TAB_ID) return;
+        if (msg.type === 'resign' && msg.team === liveTeam) setTimeout(Leader.tick, Math.random() * 300);
+        if (msg.type === 'scan' && msg.team === viewTeam) renderOverlay();
+        if (msg.type === 'prefs' && msg.team === liveTeam) { loadPrefs(); applyPrefs(msg.keys || []); }
+        if (msg.type === 'pause') renderPaused();
+        if (msg.type === 'events' && msg.team === liveTeam) dispatchApiEvents(msg.events || []);
+        if (msg.type === 'push' && msg.team === liveTeam) flushPush(true);
+        if (msg.type === 'pushlog' && msg.team === liveTeam) renderPushLog();
+      });
+      addEventListener('pagehide', Leader.resign);
+      setInterval(Leader.tick, HEARTBEAT_MS);
+      Leader.tick();
     }
   };
 
+  /** Follow Slack's in-app workspace switch: re-scope prefs, leadership and (if following) the view. */
+  const syncTeam = () => {
+    const team = teamFromUrl();
+    if (team === liveTeam) return;
+    Leader.resign();
+    if (viewTeam === liveTeam) viewTeam = team;
+    liveTeam = team;
+    migrateLegacyStore(team);
+    loadPrefs();
+    scheduleScanner();
+    registerWorkspace(team);
+    Leader.tick();
+  };
+
   // ──────────────────────────────────────────────────────────────────────────────
   // Slack DOM parsing
   // ──────────────────────────────────────────────────────────────────────────────
 
+  /** Workspace display name from the sidebar header, else from the `… - Team - Slack` title. */
+  const extractTeamName = () => {
+    const el = $(SEL.teamName);
+    if (el?.textContent.trim()) return el.textContent.trim();
+    const parts = document.title.split(' - ');
+    return parts.length >= 3 ? parts[parts.length - 2].trim() : '';
+  };
+
   /** Extract display name from sidebar row. */
   const extractRowName = (row) => {
-    const el = row.querySelector('.p-channel_sidebar__name');
+    const el = row.querySelector(SEL.rowName);
     if (!el) return '';
     const text = Array.from(el.childNodes)
       .filter((n) => n.nodeType === Node.TEXT_NODE ||
@@ -161,13 +999,13 @@
 
   /** Extract avatar URL. */
   const extractRowAvatar = (row) =>
-    row.querySelector('.p-channel_sidebar__user_avatar img, .p-channel_sidebar__mpim_avatars img')?.src || '';
+    row.querySelector(SEL.rowAvatar)?.src || '';
 
   /** Compute presence from row. */
   const extractRowPresence = (row) => {
-    const presenceSvg = row.querySelector('.c-avatar__presence [data-qa="presence_indicator"]');
-    const nameEl = row.querySelector('.p-channel_sidebar__name');
-    const awayByClass = !!(nameEl && nameEl.classList.contains('p-channel_sidebar__name--away'));
+    const presenceSvg = row.querySelector(SEL.presence);
+    const nameEl = row.querySelector(SEL.rowName);
+    const awayByClass = !!(nameEl && nameEl.classList.contains(SEL.awayClass));
 
     if (presenceSvg) {
       const active = presenceSvg.getAttribute('data-qa-presence-active') === 'true';
@@ -183,15 +1021,42 @@
     return PRES.OFF;
   };
 
+  /** Slack user id (U…/W…) from data attributes, else from a `…-U0ABC123-…` avatar URL. */
+  const USER_ID_ATTRS = ['data-qa-user-id', 'data-member-id', 'data-user-id', 'data-qa-member-id'];
+  const extractUserId = (root) => {
+    const isUserId = (v) => /^[UW][A-Z0-9]+$/.test(v || '');
+    for (const attr of USER_ID_ATTRS) {
+      const own = root.getAttribute?.(attr);
+      if (isUserId(own)) return own;
+      const el = root.querySelector(`[${attr}]`);
+      if (isUserId(el?.getAttribute(attr))) return el.getAttribute(attr);
+    }
+    const img = root.matches?.('img') ? root : root.querySelector('img');
+    return (img?.src || '').match(/-([UW][A-Z0-9]{6,})-/)?.[1] || '';
+  };
+
+  /** Presence from a presence indicator inside `root`, null when none is rendered. */
+  const extractIndicatorPresence = (root) => {
+    const el = root.querySelector('[data-qa="presence_indicator"]');
+    if (!el) return null;
+    if (el.getAttribute('data-qa-presence-active') === 'true') return PRES.ACTIVE;
+    if (el.getAttribute('data-qa-presence-dnd') === 'true') return PRES.DND;
+    return el.classList.contains('c-presence--away') ? PRES.AWAY : PRES.OFF;
+  };
+
   /** Enumerate DM users visible in the sidebar. */
   const enumerateDmUsers = () => {
     const rows = $$(SEL.dmRow);
     return rows.map((row) => {
-      const id = row.getAttribute('data-qa-channel-sidebar-channel-id') || extractRowName(row) || row.id;
+      const channelId = row.getAttribute('data-qa-channel-sidebar-channel-id') || '';
+      const id = extractUserId(row) || channelId || extractRowName(row) || row.id;
       const csWrap = row.querySelector('.p-channel_sidebar__custom_status');
       const csImg  = csWrap?.querySelector('img');
       return {
         id,
+        channelId,
+        source: 'dm',
+        hasStatus: true,
         name: extractRowName(row),
         avatar: extractRowAvatar(row),
         presence: extractRowPresence(row),
@@ -204,28 +1069,288 @@
     });
   };
 
-  /** Vacation detection (🌴 or text like “OOO”, “vacation”, “Urlaub”). */
-  const isVacation = (u) => {
-    const alt   = (u.customStatusEmoji || '').toLowerCase();
-    const short = (u.customStatusEmojiShort || '').toLowerCase();
-    const txt   = (u.customStatusText || '').toLowerCase();
+  /** Participants of group DM rows (identity only unless Slack renders their presence). */
+  const enumerateMpimUsers = () => $$(SEL.mpimRow).flatMap((row) => {
+    const names = extractRowName(row).split(',').map((n) => n.trim());
+    return $$('.p-channel_sidebar__mpim_avatars img', row).map((img, i) => ({
+      id: extractUserId(img),
+      source: 'mpim',
+      hasStatus: false,
+      name: img.getAttribute('alt') || names[i] || '',
+      avatar: img.src || '',
+      presence: img.closest('.c-avatar') ? extractIndicatorPresence(img.closest('.c-avatar')) : null
+    }));
+  });
+
+  /** Members of an open channel member list / members dialog. */
+  const enumerateMemberListUsers = () => $$(SEL.memberItem).map((item) => ({
+    id: extractUserId(item),
+    source: 'members',
+    hasStatus: false,
+    name: ($(SEL.memberName, item)?.textContent || '').trim(),
+    avatar: item.querySelector('img')?.src || '',
+    presence: extractIndicatorPresence(item)
+  }));
+
+  /** Open profile popovers / hover cards (presence from the indicator, else from its label). */
+  const enumerateProfileUsers = () => $$(SEL.profileCard).map((card) => {
+    const label = ($(SEL.profilePresence, card)?.textContent || '').toLowerCase();
+    const fromLabel = /\bactive\b/.test(label) ? PRES.ACTIVE : /\baway\b/.test(label) ? PRES.AWAY : null;
+    return {
+      id: extractUserId(card),
+      source: 'profile',
+      hasStatus: false,
+      name: ($(SEL.profileName, card)?.textContent || '').trim(),
+      avatar: card.querySelector('img')?.src || '',
+      presence: extractIndicatorPresence(card) || fromLabel
+    };
+  });
+
+  /**
+   * All users visible anywhere (DM rows, group DMs, member lists, profile cards), one entry per
+   * Slack user id. Earlier sources win; later ones only fill in missing presence, name or avatar.
+   * The result is reused (hover handlers ask on every mouse move) until `invalidateUsers`.
+   */
+  let liveSnapshot = null;
+  const enumerateUsers = () => {
+    if (liveSnapshot) return liveSnapshot;
+    const byId = new Map();
+    const sources = [enumerateDmUsers, enumerateMpimUsers, enumerateMemberListUsers, enumerateProfileUsers];
+    for (const u of sources.flatMap((fn) => fn())) {
+      if (!u.id) continue;
+      const prev = byId.get(u.id);
+      if (!prev) { byId.set(u.id, u); continue; }
+      for (const f of ['presence', 'name', 'avatar']) if (!prev[f] && u[f]) prev[f] = u[f];
+    }
+    liveSnapshot = [...byId.values()];
+    return liveSnapshot;
+  };
+
+  /** Forget the last enumeration (the DOM changed or a scan needs fresh values). */
+  const invalidateUsers = () => { liveSnapshot = null; };
+
+  /** Active absence rules (user-edited or defaults). */
+  const absenceRules = () => prefs.absenceRules || DEFAULT_ABSENCE_RULES;
+
+  /** Emoji name as `palm_tree` from `:palm_tree:`, `Palm tree` or `palm-tree`. */
+  const normEmoji = (s) => (s || '').toLowerCase().replace(/:/g, '').trim().replace(/[\s-]+/g, '_');
+
+  const ruleRegexes = new Map();
+  const ruleRegex = (source) => {
+    if (!ruleRegexes.has(source)) {
+      let re = null;
+      try { re = source ? new RegExp(source, 'i') : null; } catch (_) { /* invalid rule text never matches */ }
+      ruleRegexes.set(source, re);
+    }
+    return ruleRegexes.get(source);
+  };
+
+  /** First absence rule matching a user's custom status (emoji name, emoji code or text), else null. */
+  const detectAbsence = (u) => {
+    if (!u) return null;
+    const names = [normEmoji(u.customStatusEmoji), normEmoji(u.customStatusEmojiShort)].filter(Boolean);
     const src   = (u.customStatusSrc || '').toLowerCase();
-    return (
-      alt.includes('palm') || short.includes('palm') ||
-      src.includes('1f334') || /\bvacation\b|\booo\b|\bout of office\b|\burlaub\b/.test(txt)
-    );
+    const txt   = u.customStatusText || '';
+    return absenceRules().find((r) =>
+      (r.emoji || []).some((e) => names.includes(normEmoji(e))) ||
+      (r.codes || []).some((c) => c && src.includes(c.toLowerCase())) ||
+      !!ruleRegex(r.text)?.test(txt)
+    ) || null;
+  };
+
+  /** Any absence (vacation, sick, travel, …) counts for the 🌴 filter; the watchlist alerts on vacation only. */
+  const isVacation = (u) => !!detectAbsence(u);
+
+  /** Check a rules array edited as JSON; returns an error message or null. */
+  const validateAbsenceRules = (rules) => {
+    if (!Array.isArray(rules)) return 'Rules must be a JSON array';
+    for (const [i, r] of rules.entries()) {
+      const at = `Rule ${i + 1}`;
+      if (!r || typeof r !== 'object') return `${at}: must be an object`;
+      if (typeof r.category !== 'string' || !r.category.trim()) return `${at}: "category" is required`;
+      for (const f of ['icon', 'label', 'text']) if (r[f] != null && typeof r[f] !== 'string') return `${at}: "${f}" must be a string`;
+      for (const f of ['emoji', 'codes']) {
+        if (r[f] != null && !(Array.isArray(r[f]) && r[f].every((x) => typeof x === 'string'))) return `${at}: "${f}" must be a list of strings`;
+      }
+      try { new RegExp(r.text || '', 'i'); } catch (err) { return `${at}: invalid "text" regex (${err.message})`; }
+    }
+    return null;
+  };
+
+  // ──────────────────────────────────────────────────────────────────────────────
+  // Selector health
+  // ──────────────────────────────────────────────────────────────────────────────
+
+  /** Anomalies found by the last check (empty = healthy); `acknowledged` accepts "everyone offline". */
+  const health = { issues: [], acknowledged: false };
+
+  /** Structural problems of a selector profile against the current page. */
+  const probeProfile = (p) => {
+    if (!$(p.sidebarList)) return [{ code: 'sidebar', text: 'Slack sidebar not found' }];
+    const rows = $$(p.dmRow);
+    if (!rows.length) return [{ code: 'rows', text: 'Sidebar found, but no DM rows in it' }];
+    if (!rows.some((row) => row.querySelector(p.presence))) {
+      return [{ code: 'presence', text: `None of ${rows.length} DM rows has a presence indicator` }];
+    }
+    return [];
+  };
+
+  /** Keep the current selector profile while it matches, else switch to the first one that does. */
+  const pickProfile = () => {
+    const issues = probeProfile(SEL);
+    if (!issues.length) return issues;
+    const next = SEL_PROFILES.find((p) => p.profile !== SEL.profile && !probeProfile(p).length);
+    if (!next) return issues;
+    Object.assign(SEL, next);
+    return [];
+  };
+
+  /**
+   * Self-check before a scan is written. Besides the structural issues from `pickProfile`, all
+   * users turning offline at once right after someone was online usually means the presence
+   * markup changed. Returns whether history may be written.
+   */
+  const checkHealth = (store, users, issues) => {
+    const sampled = users.filter((u) => u.presence);
+    if (sampled.some((u) => u.presence !== PRES.OFF)) health.acknowledged = false;
+    const fresh = (rec) => Date.now() - (rec.updatedAt || 0) < 3 * prefs.scanIntervalMs;
+    const wasOnline = Object.values(store?.users || {}).some((rec) => fresh(rec) && rec.lastStatus !== PRES.OFF)
+      || health.issues.some((i) => i.code === 'offline');
+    if (!issues.length && !health.acknowledged && wasOnline && sampled.length >= HEALTH_MIN_USERS &&
+        sampled.every((u) => u.presence === PRES.OFF)) {
+      issues = [{ code: 'offline', text: `All ${sampled.length} users turned offline at once` }];
+    }
+    health.issues = issues;
+    renderHealth();
+    return !issues.length;
+  };
+
+  /** Warning badge in the header plus its details panel. */
+  const renderHealth = () => {
+    const badge = $('#gmAU_Health');
+    const info  = $('#gmAU_HealthInfo');
+    if (!badge || !info) return;
+    const { issues } = health;
+    badge.hidden = !issues.length;
+    badge.title  = issues.map((i) => i.text).join('\n');
+    if (!issues.length) { info.hidden = true; badge.setAttribute('aria-expanded', 'false'); }
+    info.innerHTML = html`
+      <b>Slack page not recognized – presence history is paused</b>
+      <ul>${issues.map((i) => html`<li>${i.text}</li>`)}</ul>
+      <div class="gmAU_hint">Selector profile: ${SEL.profile} (tried ${SEL_PROFILES.map((p) => p.profile).join(', ')}).
+        Writing resumes by itself once the page matches again.</div>
+      ${issues.some((i) => i.code === 'offline') &&
+        html`<div class="gmAU_actions"><button class="gmAU_action" data-health="ack">Everyone is really offline – record</button></div>`}
+    `;
   };
 
   // ──────────────────────────────────────────────────────────────────────────────
   // Presence logging
   // ──────────────────────────────────────────────────────────────────────────────
 
+  /** Append presence transitions; an observation gap closes the previous session first. */
+  const recordTransition = (rec, presence) => {
+    const t    = Date.now();
+    const list = rec.transitions = rec.transitions || [];
+    const last = list[list.length - 1];
+    const gap  = !rec.updatedAt || t - rec.updatedAt > SESSION_GAP_SCANS * prefs.scanIntervalMs;
+    if (gap) {
+      if (last?.to) list.push({ ts: Math.max(rec.updatedAt, last.ts), from: last.to, to: null });
+      list.push({ ts: t, from: null, to: presence });
+    } else if (last?.to !== presence) {
+      list.push({ ts: t, from: last?.to || null, to: presence });
+    }
+  };
+
+  /**
+   * A DM row revealed the Slack user id behind a DM channel id: remember the alias and fold the
+   * record kept under the channel id (older data) into the user's record, prefs included.
+   */
+  const adoptAlias = (store, channelId, userId) => {
+    store.aliases = store.aliases || {};
+    store.aliases[channelId] = userId;
+    const old = store.users[channelId];
+    if (!old) return;
+    delete store.users[channelId];
+    const rec = normalizeRecord(userId, old);
+    if (store.users[userId]) mergeRecord(store.users[userId], rec);
+    else store.users[userId] = rec;
+    migratePrefIds(channelId, userId);
+  };
+
+  /** Carry watchlist and group membership over to a user's new id. */
+  const migratePrefIds = (from, to) => {
+    let changed = false;
+    if (prefs.watch[from]) {
+      prefs.watch[to] = prefs.watch[to] || prefs.watch[from];
+      delete prefs.watch[from];
+      changed = true;
+    }
+    for (const [g, ids] of Object.entries(prefs.groups)) {
+      if (!ids.includes(from)) continue;
+      prefs.groups[g] = [...new Set(ids.map((id) => (id === from ? to : id)))];
+      changed = true;
+    }
+    if (changed) commitPrefs(['watch', 'groups']);
+  };
+
+  /** Append custom status changes `{ text, emoji, short, src, start, end }`; clearing a status closes the open entry. */
+  const recordStatus = (rec, u) => {
+    const next = {
+      text: (u.customStatusText || '').trim(),
+      emoji: u.customStatusEmoji || '',
+      short: u.customStatusEmojiShort || '',
+      src: u.customStatusSrc || ''
+    };
+    const list = rec.statusHistory = rec.statusHistory || [];
+    const last = list[list.length - 1];
+    const open = last && !last.end ? last : null;
+    const same = open
+      ? open.text === next.text && (open.short || open.emoji) === (next.short || next.emoji)
+      : !next.text && !next.emoji;
+    if (same) return;
+    if (open) open.end = Date.now();
+    if (next.text || next.emoji) list.push({ ...next, start: Date.now(), end: null });
+  };
+
+  /** Open, switch or close the dated absence period of a user (kept across observation gaps). */
+  const recordAbsence = (rec, u) => {
+    const rule = detectAbsence(u);
+    const list = rec.absences = rec.absences || [];
+    const open = list.find((a) => !a.end);
+    if (open && (!rule || open.category !== rule.category)) open.end = Date.now();
+    if (rule && (!open || open.category !== rule.category)) {
+      list.push({ category: rule.category, icon: rule.icon || '', label: rule.label || rule.category,
+        text: (u.customStatusText || '').trim(), start: Date.now(), end: null });
+    }
+  };
+
+  /** Sample presence into the store; only the leader tab writes, followers just re-render. */
   const logPresenceOnce = () => {
-    const store   = loadStore();
+    syncTeam();
+    invalidateUsers();
+    const issues = pickProfile();
+    if (!Leader.check()) { checkHealth(null, [], issues); renderOverlay(); return; }
+    pruneIdleWorkspaces();
+    if (isPaused()) { renderOverlay(); return; }
+    const store   = loadStore(liveTeam);
+    if (Date.now() - (store.lastScanAt || 0) < prefs.scanIntervalMs * MIN_SCAN_GAP) { renderOverlay(); return; }
     const hourKey = toUtcHourKey();
-    const users   = enumerateDmUsers();
+    const users   = enumerateUsers().filter(trackedIn());
+    // Broken selectors would record everyone as offline: leave these hours unobserved instead.
+    if (!checkHealth(store, users, issues)) { renderOverlay(); return; }
 
+    for (const u of users) if (u.channelId && u.channelId !== u.id) adoptAlias(store, u.channelId, u.id);
+
+    const changes = [];
     for (const u of users) {
+      // Sources without a presence (e.g. group DM avatars) register the person but add no samples.
+      if (!u.presence) {
+        const known = store.users[u.id] || (store.users[u.id] = normalizeRecord(u.id, {}));
+        known.name   = u.name   || known.name;
+        known.avatar = u.avatar || known.avatar;
+        continue;
+      }
       if (!store.users[u.id]) {
         store.users[u.id] = {
           id: u.id,
@@ -233,24 +1358,35 @@
           avatar: u.avatar,
           lastSeenActive: null,
           lastStatus: PRES.OFF,
+          updatedAt: null,
           customStatusEmoji: '',
           customStatusEmojiShort: '',
           customStatusText: '',
           customStatusSrc: '',
-          hourly: {}
+          hourly: {},
+          transitions: []
         };
       }
       const rec = store.users[u.id];
+      const before = { presence: rec.updatedAt ? rec.lastStatus : null, absence: openAbsence(rec) };
+      recordTransition(rec, u.presence);
+      if (u.hasStatus) recordAbsence(rec, u);
+      if (before.presence !== u.presence || before.absence !== openAbsence(rec)) changes.push({ u, before });
 
       rec.name   = u.name   || rec.name;
       rec.avatar = u.avatar || rec.avatar;
       rec.lastStatus = u.presence;
+      rec.updatedAt  = Date.now();
       if (u.presence === PRES.ACTIVE) rec.lastSeenActive = Date.now();
 
-      rec.customStatusEmoji      = u.customStatusEmoji      || rec.customStatusEmoji;
-      rec.customStatusEmojiShort = u.customStatusEmojiShort || rec.customStatusEmojiShort;
-      rec.customStatusText       = u.customStatusText       || rec.customStatusText;
-      rec.customStatusSrc        = u.customStatusSrc        || rec.customStatusSrc;
+      // The sidebar row is the live truth: a removed status clears the stored one.
+      if (u.hasStatus) {
+        recordStatus(rec, u);
+        rec.customStatusEmoji      = u.customStatusEmoji;
+        rec.customStatusEmojiShort = u.customStatusEmojiShort;
+        rec.customStatusText       = u.customStatusText;
+        rec.customStatusSrc        = u.customStatusSrc;
+      }
 
       rec.hourly[hourKey] = rec.hourly[hourKey] || { a: 0, w: 0, d: 0, t: 0 };
       if (u.presence === PRES.ACTIVE) rec.hourly[hourKey].a++;
@@ -259,61 +1395,423 @@
       rec.hourly[hourKey].t++;
     }
 
+    detectWatchChanges(users);
+    queuePush(store, users, changes);
+    store.scans = store.scans || {};
+    store.scans[hourKey] = (store.scans[hourKey] || 0) + 1;
+    store.lastScanAt = Date.now();
     pruneOld(store);
-    saveStore(store);
+    saveStore(store, liveTeam);
+    registerWorkspace(liveTeam);
+    broadcast('scan', { team: liveTeam });
     renderOverlay();
+    // Last: listeners see the saved scan and may call the API (even `scan()`) again.
+    emitScanEvents(store, users, changes);
   };
 
-  setInterval(logPresenceOnce, prefs.scanIntervalMs);
+  /** (Re)start the periodic scan with the current interval. */
+  let scanTimer = 0;
+  const scheduleScanner = () => {
+    clearInterval(scanTimer);
+    scanTimer = setInterval(logPresenceOnce, prefs.scanIntervalMs);
+  };
+  scheduleScanner();
 
   // ──────────────────────────────────────────────────────────────────────────────
-  // Styles (UI-only)
+  // Watchlist alerts (leader tab only, so several Slack tabs do not alert twice)
   // ──────────────────────────────────────────────────────────────────────────────
 
-  const CSS = /* css */`
-  :root { --gm-width: 440px; --gm-status-w: 64px; }
-  #gmAU_Overlay {
-    position: fixed; right: 12px; top: 50%; transform: translateY(-50%);
-    width: var(--gm-width); max-height: 82vh; z-index: 999999;
-    background: rgba(22,23,25,0.96); color:#e7e9ea; border:1px solid #2b2f33; border-radius:12px;
-    box-shadow: 0 12px 28px rgba(0,0,0,.65); display:flex; flex-direction:column; overflow:hidden;
-    font: 13px/1.4 system-ui, -apple-system, "Segoe UI", Roboto, "Helvetica Neue", Arial, "Noto Sans";
-  }
-  #gmAU_Overlay.gm--hidden{ display:none; }
+  /** Last seen presence/vacation per user and last alert time per `userId:rule`. */
+  const watchState = new Map();
+  const lastAlertAt = new Map();
 
-  /* Header */
-  #gmAU_Header{ display:flex; align-items:center; gap:8px; padding:8px 10px; background:#0f1113; border-bottom:1px solid #272a2e; }
-  #gmAU_Pulse{ width:10px; height:10px; border-radius:50%; background:#27d17c; box-shadow:0 0 0 2px rgba(39,209,124,.15); }
-  #gmAU_Count{ background:#233328; color:#9be5b1; border:1px solid #2f4638; font-weight:700; padding:1px 8px; border-radius:999px; }
-  #gmAU_Search{ margin-left:6px; padding:5px 8px; background:#15181b; color:#d9dee3; border:1px solid #2b2f33; border-radius:8px; width:160px; }
-  .gmAU_btn{ border:none; background:#1a1d20; color:#cfd3d6; width:28px; height:28px; border-radius:8px; cursor:pointer; }
-  .gmAU_btn:hover{ background:#23272b; }
+  /** Whether the current hour (display zone) lies inside the configured quiet hours. */
+  const inQuietHours = () => {
+    const { quietStart: from, quietEnd: until } = prefs;
+    const h = zonedParts(Date.now()).hour;
+    if (from === until) return false;
+    return from < until ? (h >= from && h < until) : (h >= from || h < until);
+  };
 
-  /* Filters */
-  #gmAU_Filters{ display:flex; gap:6px; padding:6px 10px; background:#101214; border-bottom:1px solid #272a2e; }
-  .gmAU_filter{ font-size:11px; padding:4px 10px; border-radius:999px; border:1px solid #2b2f33; background:#15181b; color:#bfc5cb; cursor:pointer; }
-  .gmAU_filter.active{ border-color:#2f4638; background:#233328; color:#9be5b1; }
+  /** Compare watched users against their last known state and alert on rule matches. */
+  const detectWatchChanges = (users) => {
+    if (!Leader.isLeader) return;
+    for (const u of users) {
+      if (!u.presence) continue;
+      const rules = prefs.watch[u.id];
+      const prev  = watchState.get(u.id);
+      // Member lists and profile cards do not show custom statuses: keep the last known absence.
+      const next  = { presence: u.presence, vac: u.hasStatus ? detectAbsence(u)?.category === 'vacation' : !!prev?.vac };
+      watchState.set(u.id, next);
+      if (!rules || !prev) continue;
 
-  /* List rows */
-  #gmAU_List{ overflow:auto; scrollbar-width:thin; }
-  .gmAU_item{
-    display:grid; grid-template-columns: 24px 1fr minmax(126px, 1fr) var(--gm-status-w);
-    column-gap:12px; align-items:center; padding:8px 12px; border-bottom:1px dashed #2a2e33;
-  }
-  .gmAU_item:hover{ background:#15181b; }
-  .gmAU_avatar{ width:24px; height:24px; border-radius:6px; object-fit:cover; }
-  .gmAU_name{ min-width:0; }
-  .gmAU_name_text{ display:block; overflow:hidden; text-overflow:ellipsis; white-space:nowrap; }
-  .gmAU_mini{ justify-self:end; display:inline-grid; grid-auto-flow:column; gap:1px; }
-  .gmAU_mini_cell{ width:6px; height:10px; border-radius:1px; background:#2a2e33; }
-  .gmAU_mini_cell.a{ background:#37c876; }
-  .gmAU_mini_cell.w{ background:#b39b45; }
-  .gmAU_mini_cell.d{ background:#e05a5a; }
-  .gmAU_mini_cell.i{ background:#2a2e33; }
+      const hits = [];
+      if (rules.online && next.presence === PRES.ACTIVE && (prev.presence === PRES.OFF || prev.presence === PRES.AWAY)) hits.push('online');
+      if (rules.dndEnd && prev.presence === PRES.DND && next.presence !== PRES.DND) hits.push('dndEnd');
+      if (rules.vacation && next.vac && !prev.vac) hits.push('vacation');
+      for (const rule of hits) raiseAlert(u, rule);
+    }
+  };
 
-  .gmAU_status{
-    width:var(--gm-status-w); justify-self:end; text-align:center;
-    font-size:11px; padding:3px 0; border-radius:8px; border:1px solid #2b2f33; background:#1a1d20; color:#cfd3d6;
+  /** Alert once per cooldown window and never during quiet hours. */
+  const raiseAlert = (u, rule) => {
+    const key = `${u.id}:${rule}`;
+    if (Date.now() - (lastAlertAt.get(key) || 0) < prefs.alertCooldownMin * 60_000) return;
+    if (inQuietHours()) return;
+    lastAlertAt.set(key, Date.now());
+    const text = ALERT_RULES[rule].text;
+    const body = rule === 'vacation' && u.customStatusText ? `${text}: ${u.customStatusText}` : text;
+    notify(u.name, body, safeImgUrl(u.avatar));
+  };
+
+  /** Desktop notification when permitted, in-page toast otherwise. */
+  const notify = (title, body, icon) => {
+    if (typeof Notification === 'function' && Notification.permission === 'granted') {
+      try { new Notification(title, { body, icon, tag: `gmAU:${title}:${body}` }); return; } catch (_) { /* fall through */ }
+    }
+    showToast(`${title} ${body}`);
+  };
+
+  const showToast = (text) => {
+    let box = $('#gmAU_Toasts');
+    if (!box) {
+      box = document.createElement('div');
+      box.id = 'gmAU_Toasts';
+      box.setAttribute('aria-live', 'polite');
+      document.body.appendChild(box);
+    }
+    const toast = document.createElement('div');
+    toast.className = 'gmAU_toast';
+    toast.textContent = text;
+    toast.addEventListener('click', () => toast.remove());
+    box.appendChild(toast);
+    setTimeout(() => toast.remove(), 8_000);
+  };
+
+  /** Star/unstar a user; the first star asks for notification permission (needs the click gesture). */
+  const toggleWatch = (userId) => {
+    if (prefs.watch[userId]) delete prefs.watch[userId];
+    else {
+      prefs.watch[userId] = { online: true, dndEnd: true, vacation: true };
+      if (typeof Notification === 'function' && Notification.permission === 'default') Notification.requestPermission();
+    }
+    commitPrefs(['watch']);
+  };
+
+  // ──────────────────────────────────────────────────────────────────────────────
+  // HTTP push (optional: scan results for a team dashboard, sent by the leader tab)
+  // ──────────────────────────────────────────────────────────────────────────────
+
+  /** Category of the user's open absence period, if any. */
+  const openAbsence = (rec) => (rec.absences || []).find((ab) => !ab.end)?.category || null;
+
+  /** Delivery state of this tab; the queue itself lives in storage so a new leader continues it. */
+  const pushState = { inFlight: false, failures: 0, retryAt: 0, lastSentAt: Date.now() };
+
+  const loadPushQueue = (team = liveTeam) => Storage.get(scopedKey(PUSH_QUEUE_KEY, team), []);
+  const savePushQueue = (queue, team = liveTeam) => Storage.set(scopedKey(PUSH_QUEUE_KEY, team), queue);
+  const loadPushLog = () => Storage.get(scopedKey(PUSH_LOG_KEY, liveTeam), []);
+
+  const logPush = (ok, events, text) => {
+    const log = [{ ts: Date.now(), ok, events, text }, ...loadPushLog()].slice(0, PUSH_LOG_MAX);
+    Storage.set(scopedKey(PUSH_LOG_KEY, liveTeam), log);
+    renderPushLog();
+    broadcast('pushlog', { team: liveTeam });
+  };
+
+  /** Presence of a user as sent to the endpoint. */
+  const pushUser = (u, rec) => ({
+    id: u.id,
+    name: u.name,
+    presence: u.presence,
+    absence: openAbsence(rec),
+    statusText: rec.customStatusText || '',
+    statusEmoji: rec.customStatusEmojiShort || rec.customStatusEmoji || ''
+  });
+
+  /** Queue this scan (or its changes) and send what is due. Queued events carry a `qid` so a sent batch can be removed exactly. */
+  let pushSeq = 0;
+  const queuePush = (store, users, changes) => {
+    if (!prefs.pushUrl) return;
+    const ts = Date.now();
+    const events = prefs.pushMode === 'scans'
+      ? [{ type: 'scan', ts, users: users.filter((u) => u.presence).map((u) => pushUser(u, store.users[u.id])) }]
+      : changes.map(({ u, before }) => ({ type: 'change', ts, from: before, ...pushUser(u, store.users[u.id]) }));
+    if (!events.length) { flushPush(); return; }
+    const queue = [...loadPushQueue(), ...events.map((e) => ({ qid: `${TAB_ID}.${++pushSeq}`, ...e }))];
+    const dropped = queue.length - PUSH_QUEUE_MAX;
+    if (dropped > 0) logPush(false, dropped, `Queue full: dropped the ${dropped} oldest event(s)`);
+    savePushQueue(queue.slice(Math.max(0, dropped)));
+    flushPush();
+  };
+
+  /** POST one batch; resolves with the HTTP status, rejects on network errors and non-2xx replies. */
+  const sendPush = (events) => new Promise((resolve, reject) => {
+    if (typeof GM_xmlhttpRequest !== 'function') { reject(new Error('GM_xmlhttpRequest is not granted')); return; }
+    const headers = { 'Content-Type': 'application/json' };
+    if (prefs.pushAuth) headers.Authorization = prefs.pushAuth;
+    GM_xmlhttpRequest({
+      method: 'POST',
+      url: prefs.pushUrl,
+      headers,
+      data: JSON.stringify({ source: 'slack-active-users-overlay', version: 1, team: liveTeam,
+        workspace: workspaceName(liveTeam), sentAt: Date.now(), events: events.map(({ qid, ...e }) => e) }),
+      timeout: PUSH_TIMEOUT_MS,
+      onload: (res) => (res.status >= 200 && res.status < 300 ? resolve(res.status) : reject(new Error(`HTTP ${res.status}`))),
+      onerror: () => reject(new Error('endpoint not reachable')),
+      ontimeout: () => reject(new Error(`no answer within ${PUSH_TIMEOUT_MS / 1000} s`))
+    });
+  });
+
+  /**
+   * Send the oldest batch once it is full or has waited `pushDelaySec`; `force` skips both waits
+   * and the retry backoff. Failed batches stay queued and are retried with exponential backoff.
+   * Only the leader sends, so two tabs never post the same batch.
+   */
+  const flushPush = async (force = false) => {
+    if (!prefs.pushUrl || pushState.inFlight || !Leader.check()) return;
+    const queue = loadPushQueue();
+    if (!queue.length) return;
+    if (!force && Date.now() < pushState.retryAt) return;
+    if (!force && queue.length < prefs.pushBatchSize && Date.now() - pushState.lastSentAt < prefs.pushDelaySec * 1000) return;
+
+    const batch = queue.slice(0, prefs.pushBatchSize);
+    pushState.inFlight = true;
+    try {
+      const status = await sendPush(batch);
+      // Leadership may have moved during the request and the new leader may have sent or appended meanwhile.
+      const sent = new Set(batch.map((e) => e.qid));
+      savePushQueue(loadPushQueue().filter((e) => !sent.has(e.qid)));
+      Object.assign(pushState, { failures: 0, retryAt: 0, lastSentAt: Date.now() });
+      logPush(true, batch.length, `HTTP ${status}`);
+    } catch (err) {
+      pushState.failures++;
+      const wait = Math.min(PUSH_RETRY_MAX_MS, PUSH_RETRY_MIN_MS * 2 ** (pushState.failures - 1));
+      pushState.retryAt = Date.now() + wait * (0.8 + Math.random() * 0.4);
+      const left = pushState.retryAt - Date.now();
+      logPush(false, batch.length, `${err.message}; retry in ${left < 60_000 ? `${Math.ceil(left / 1000)} s` : fmtDuration(left)}`);
+      return;
+    } finally {
+      pushState.inFlight = false;
+    }
+    if (loadPushQueue().length >= prefs.pushBatchSize) flushPush();
+  };
+
+  /** Queue size and recent send attempts, shown in the settings view. */
+  const renderPushLog = () => {
+    const box = $('#gmAU_PushLog');
+    if (!box) return;
+    const queued = loadPushQueue().length;
+    const retry  = pushState.retryAt > Date.now() ? ` • next retry ${padIntlTime(pushState.retryAt)}` : '';
+    patchHtml(box, html`
+      <div class="gmAU_hint">${prefs.pushUrl ? `${queued} event(s) queued${retry}` : 'Push is off: set a URL above to send scan results.'}</div>
+      <div class="gmAU_pushlog">
+        ${loadPushLog().map((e) => html`
+          <div class="${e.ok ? 'ok' : 'fail'}"><span>${padIntlTime(e.ts)}</span><span>${e.ok ? '✓' : '✕'} ${e.events} event(s)</span><span>${e.text}</span></div>`)}
+      </div>
+      <div class="gmAU_actions">
+        <button class="gmAU_action" data-action="push-now"${prefs.pushUrl && queued ? '' : ' disabled'}>Send now</button>
+        <button class="gmAU_action" data-action="push-clear"${queued ? '' : ' disabled'}>Discard queue</button>
+      </div>
+    `);
+  };
+
+  // ──────────────────────────────────────────────────────────────────────────────
+  // Privacy (don't-track list, recording pause, pseudonymous exports)
+  // ──────────────────────────────────────────────────────────────────────────────
+
+  /**
+   * Ids excluded from recording in a workspace. Only the Slack id is kept (no name), globally, so
+   * the exclusion belongs to the workspace the history was deleted from, whichever tab did it.
+   */
+  const notTracked = (team = liveTeam) => new Set(Storage.get(NO_TRACK_KEY, {})[team] || []);
+  const setNotTracked = (team, ids) => {
+    const all = Storage.get(NO_TRACK_KEY, {});
+    if (ids.size) all[team] = [...ids];
+    else delete all[team];
+    Storage.set(NO_TRACK_KEY, all);
+  };
+
+  /** Predicate for users that may be recorded in a workspace (reads the exclusions once). */
+  const trackedIn = (team = liveTeam) => {
+    const skip = notTracked(team);
+    return (u) => !skip.has(u.id);
+  };
+
+  /** Stop recording a user and delete what the shown workspace stored about them. */
+  const stopTracking = (userId) => {
+    const team  = viewTeam;
+    const store = loadStore(team);
+    const name  = store.users[userId]?.name || userId;
+    if (!confirm(`Stop tracking “${name}” and delete their stored presence history in “${workspaceName(team)}”?`)) return;
+    setNotTracked(team, notTracked(team).add(userId));
+    selectedIds.delete(userId);
+    delete store.users[userId];
+    for (const [channelId, id] of Object.entries(store.aliases || {})) if (id === userId) delete store.aliases[channelId];
+    saveStore(store, team);
+
+    // Events not sent yet must not carry them out either (the send log holds counts only).
+    const queue = loadPushQueue(team)
+      .filter((e) => e.id !== userId)
+      .map((e) => (e.users ? { ...e, users: e.users.filter((u) => u.id !== userId) } : e));
+    savePushQueue(queue, team);
+
+    // Watch rules and groups belong to that workspace's prefs, which may not be this tab's.
+    const own = team === liveTeam ? prefs : Storage.get(scopedKey(PREF_KEY, team), {});
+    if (own.watch) delete own.watch[userId];
+    for (const g of Object.keys(own.groups || {})) own.groups[g] = own.groups[g].filter((id) => id !== userId);
+    setView(null);
+    if (team === liveTeam) commitPrefs(['watch', 'groups']);
+    else {
+      Storage.set(scopedKey(PREF_KEY, team), own);
+      broadcast('prefs', { team, keys: ['watch', 'groups'] });
+      renderOverlay();
+    }
+  };
+
+  const resumeTracking = (userId) => {
+    const ids = notTracked(viewTeam);
+    ids.delete(userId);
+    setNotTracked(viewTeam, ids);
+    renderOverlay();
+  };
+
+  /** Recording pause shared by all tabs and workspaces (the overlay keeps showing live presence). */
+  const isPaused = () => !!Storage.get(PAUSE_KEY, false);
+  const setPaused = (paused) => {
+    if (paused) Storage.set(PAUSE_KEY, true);
+    else Storage.del(PAUSE_KEY);
+    broadcast('pause');
+    renderPaused();
+    if (!paused) logPresenceOnce();
+  };
+
+  const renderPaused = () => {
+    const wrap = $('#gmAU_Overlay');
+    if (!wrap) return;
+    const paused = isPaused();
+    wrap.classList.toggle('gm--paused', paused);
+    $('#gmAU_PausedInfo').hidden = !paused;
+    const btn = $('#gmAU_btnPause');
+    btn.textContent = paused ? '▶' : '⏸';
+    btn.title = paused ? 'Resume recording' : 'Pause recording (all workspaces)';
+    btn.setAttribute('aria-pressed', String(paused));
+  };
+
+  /** Stable pseudonym of a user id; the per-installation salt keeps it from being mapped back to Slack ids. */
+  const pseudonym = (id) => {
+    let salt = Storage.get(ANON_SALT_KEY, '');
+    if (!salt) {
+      salt = Array.from(crypto.getRandomValues(new Uint32Array(4)), (n) => n.toString(36)).join('');
+      Storage.set(ANON_SALT_KEY, salt);
+    }
+    // cyrb53: a fast 53-bit string hash, plenty to keep a team's pseudonyms apart.
+    let h1 = 0xdeadbeef;
+    let h2 = 0x41c6ce57;
+    for (const ch of `${salt}:${id}`) {
+      const c = ch.charCodeAt(0);
+      h1 = Math.imul(h1 ^ c, 2654435761);
+      h2 = Math.imul(h2 ^ c, 1597334677);
+    }
+    h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^ Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+    h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507) ^ Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+    return (4_294_967_296 * (h2 & 0x1fffff) + (h1 >>> 0)).toString(36).toUpperCase().padStart(8, '0').slice(-8);
+  };
+
+  /** Copy of a record without name, id, avatar or status texts (which often name people or places). */
+  const anonymizeRecord = (rec) => {
+    const alias = pseudonym(rec.id);
+    return {
+      ...rec,
+      id: `anon-${alias}`,
+      name: `User ${alias}`,
+      avatar: '',
+      customStatusEmoji: '',
+      customStatusEmojiShort: '',
+      customStatusText: '',
+      customStatusSrc: '',
+      statusHistory: [],
+      absences: (rec.absences || []).map((ab) => ({ ...ab, text: '' }))
+    };
+  };
+
+  // ──────────────────────────────────────────────────────────────────────────────
+  // Styles (UI-only)
+  // ──────────────────────────────────────────────────────────────────────────────
+
+  const CSS = /* css */`
+  :root { --gm-width: 440px; --gm-status-w: 64px; }
+  #gmAU_Overlay {
+    position: fixed; right: 12px; top: 50%; transform: translateY(-50%);
+    width: var(--gm-width); max-height: 82vh; z-index: 999999;
+    background: rgba(22,23,25,0.96); color:#e7e9ea; border:1px solid #2b2f33; border-radius:12px;
+    box-shadow: 0 12px 28px rgba(0,0,0,.65); display:flex; flex-direction:column; overflow:hidden;
+    font: 13px/1.4 system-ui, -apple-system, "Segoe UI", Roboto, "Helvetica Neue", Arial, "Noto Sans";
+  }
+  #gmAU_Overlay.gm--hidden{ display:none; }
+  #gmAU_Overlay.gm--placed{ right:auto; transform:none; max-height:calc(100vh - 16px); }
+  #gmAU_Overlay.gm--collapsed{ width:auto !important; height:auto !important; border-radius:999px; }
+  #gmAU_Overlay.gm--collapsed > :not(#gmAU_Pill), #gmAU_Overlay:not(.gm--collapsed) > #gmAU_Pill{ display:none; }
+  #gmAU_Header{ cursor:move; }
+  #gmAU_Header input, #gmAU_Header select, #gmAU_Header button{ cursor:auto; }
+  #gmAU_Pill{ display:flex; align-items:center; gap:6px; border:none; background:none; color:#9be5b1; padding:6px 12px;
+    font:inherit; font-weight:700; cursor:pointer; touch-action:none; }
+  #gmAU_Pill i{ width:8px; height:8px; border-radius:50%; background:#27d17c; }
+  #gmAU_Resize{ position:absolute; right:0; bottom:0; width:14px; height:14px; cursor:nwse-resize; touch-action:none;
+    background:linear-gradient(135deg, transparent 50%, #3a3f45 50%); border-bottom-right-radius:12px; }
+
+  /* Header */
+  #gmAU_Header{ display:flex; flex-wrap:wrap; align-items:center; gap:8px; padding:8px 10px; background:#0f1113; border-bottom:1px solid #272a2e; }
+  #gmAU_Pulse{ width:10px; height:10px; border-radius:50%; background:#27d17c; box-shadow:0 0 0 2px rgba(39,209,124,.15); }
+  #gmAU_Pulse.follower{ background:#5a7fa8; box-shadow:0 0 0 2px rgba(90,127,168,.15); }
+  #gmAU_Count{ background:#233328; color:#9be5b1; border:1px solid #2f4638; font-weight:700; padding:1px 8px; border-radius:999px; }
+  #gmAU_Search{ margin-left:6px; padding:5px 8px; background:#15181b; color:#d9dee3; border:1px solid #2b2f33; border-radius:8px; width:160px; }
+  .gmAU_btn{ border:none; background:#1a1d20; color:#cfd3d6; width:28px; height:28px; border-radius:8px; cursor:pointer; }
+  .gmAU_btn:hover{ background:#23272b; }
+  #gmAU_Workspace{ max-width:120px; padding:4px 6px; background:#15181b; color:#d9dee3; border:1px solid #2b2f33; border-radius:8px; }
+  #gmAU_Workspace[hidden]{ display:none; }
+  #gmAU_Health{ background:#3a2a12; color:#f2c94c; }
+  #gmAU_Health[hidden], #gmAU_HealthInfo[hidden]{ display:none; }
+  #gmAU_HealthInfo{ padding:8px 12px; background:#2a2212; color:#f2dca0; border-bottom:1px solid #4a3a1a; font-size:12px; }
+  #gmAU_HealthInfo ul{ margin:4px 0 6px 18px; padding:0; }
+  #gmAU_PausedInfo{ display:flex; align-items:center; justify-content:space-between; gap:8px; padding:6px 12px;
+    background:#1e2329; color:#c3cbd3; border-bottom:1px solid #2f3740; font-size:12px; }
+  #gmAU_PausedInfo[hidden]{ display:none; }
+  .gmAU_pushlog{ max-height:140px; overflow:auto; margin:6px 0; font-size:11px; }
+  .gmAU_pushlog > div{ display:grid; grid-template-columns:64px 96px 1fr; gap:6px; padding:2px 0; border-bottom:1px solid #1f2226; }
+  .gmAU_pushlog .ok{ color:#9be5b1; } .gmAU_pushlog .fail{ color:#f0a6a6; }
+  .gm--paused #gmAU_Pulse, .gm--paused #gmAU_Pill i{ background:#8a9095; box-shadow:none; }
+
+  /* Filters */
+  #gmAU_Filters{ display:flex; gap:6px; padding:6px 10px; background:#101214; border-bottom:1px solid #272a2e; }
+  .gmAU_filter{ font-size:11px; padding:4px 10px; border-radius:999px; border:1px solid #2b2f33; background:#15181b; color:#bfc5cb; cursor:pointer; }
+  .gmAU_filter.active{ border-color:#2f4638; background:#233328; color:#9be5b1; }
+
+  /* List rows */
+  #gmAU_List{ overflow:auto; scrollbar-width:thin; flex:1 1 auto; min-height:0; }
+  .gmAU_item{
+    display:grid; grid-template-columns: 16px 24px 1fr minmax(126px, 1fr) var(--gm-status-w);
+    column-gap:12px; align-items:center; padding:8px 12px; border-bottom:1px dashed #2a2e33;
+  }
+  .gmAU_item:hover{ background:#15181b; }
+  .gmAU_star{ border:none; background:none; padding:0; color:#5b6168; cursor:pointer; font-size:14px; line-height:1; }
+  .gmAU_star:hover{ color:#cfd3d6; }
+  .gmAU_star.on{ color:#f2c94c; }
+  .gmAU_avatar{ width:24px; height:24px; border-radius:6px; object-fit:cover; }
+  .gmAU_name{ min-width:0; }
+  .gmAU_name_text{ display:block; overflow:hidden; text-overflow:ellipsis; white-space:nowrap; }
+  .gmAU_mini{ justify-self:end; display:inline-grid; grid-auto-flow:column; gap:1px; }
+  .gmAU_mini_cell{ width:6px; height:10px; border-radius:1px; background:#2a2e33; }
+  .gmAU_mini_cell.a{ background:#37c876; }
+  .gmAU_mini_cell.w{ background:#b39b45; }
+  .gmAU_mini_cell.d{ background:#e05a5a; }
+  .gmAU_mini_cell.i{ background:#2a2e33; }
+  .gmAU_mini_cell.n{ background:repeating-linear-gradient(135deg, #1a1d20 0 2px, #24282c 2px 4px); }
+  .gmAU_mini_cell.p{ opacity:.5; }
+
+  .gmAU_status{
+    width:var(--gm-status-w); justify-self:end; text-align:center;
+    font-size:11px; padding:3px 0; border-radius:8px; border:1px solid #2b2f33; background:#1a1d20; color:#cfd3d6;
   }
   .gmAU_status.active{ background:#233328; color:#9be5b1; border-color:#2f4638; }
   .gmAU_status.away{ background:#2f2a18; color:#e8d28c; border-color:#5a4b1a; }
@@ -321,10 +1819,83 @@
   .gmAU_status.offline{ background:#1c1c1c; color:#a6a6a6; border-color:#2c2c2c; }
   .gmAU_status.vac{ background:#233328; color:#9be5b1; border-color:#2f4638; }
 
-  .gmAU_note{ grid-column: 2 / -1; color:#98a0a6; font-size:11px; margin-top:3px; overflow:hidden; text-overflow:ellipsis; white-space:nowrap; }
+  .gmAU_group{ display:flex; align-items:center; gap:8px; padding:6px 12px; background:#101214; border-bottom:1px solid #272a2e;
+    font-size:12px; font-weight:700; color:#cfd3d6; cursor:pointer; user-select:none; }
+  .gmAU_group:hover{ background:#15181b; }
+  .gmAU_group_caret{ width:10px; color:#8a9095; }
+  .gmAU_group_count{ margin-left:auto; font-weight:400; font-size:11px; color:#9be5b1; }
+  .gmAU_note{ grid-column: 3 / -1; color:#98a0a6; font-size:11px; margin-top:3px; overflow:hidden; text-overflow:ellipsis; white-space:nowrap; }
+
+  /* Panel views (settings, overlap, …) replace filters + list while open */
+  .gmAU_view{ display:none; padding:10px 12px; overflow:auto; }
+  #gmAU_Overlay[data-view="settings"] #gmAU_Settings, #gmAU_Overlay[data-view="overlap"] #gmAU_Overlap,
+  #gmAU_Overlay[data-view="calendar"] #gmAU_Calendar, #gmAU_Overlay[data-view="export"] #gmAU_Export{ display:block; }
+  .gmAU_cal{ display:grid; grid-template-columns:repeat(7, 1fr); gap:3px; margin-top:8px; text-align:center; }
+  .gmAU_cal_day{ padding:6px 0; border-radius:4px; font-size:11px; background:#2a2e33; color:#e7e9ea; }
+  .gmAU_cal_day.n{ background:repeating-linear-gradient(135deg, #16181b 0 2px, #24282c 2px 4px); color:#8a9095; }
+  .gmAU_cal_day.future{ background:none; color:#5b6168; }
+  .gmAU_cal_day.g1{ background:#1f4430; } .gmAU_cal_day.g2{ background:#256b43; }
+  .gmAU_cal_day.g3{ background:#2d9a5c; } .gmAU_cal_day.g4{ background:#37c876; color:#0f1113; }
+  /* Team report */
+  #gmAU_Report{ position:fixed; inset:24px; z-index:1000000; display:flex; flex-direction:column; overflow:hidden;
+    background:#16171a; color:#e7e9ea; border:1px solid #2b2f33; border-radius:12px; box-shadow:0 12px 28px rgba(0,0,0,.65);
+    font: 13px/1.4 system-ui, -apple-system, "Segoe UI", Roboto, "Helvetica Neue", Arial, "Noto Sans"; }
+  #gmAU_Report.static{ position:static; inset:auto; box-shadow:none; }
+  .gmAU_report_bar{ display:flex; flex-wrap:wrap; align-items:center; gap:10px; padding:10px 14px; background:#0f1113; border-bottom:1px solid #272a2e; }
+  .gmAU_report_bar input{ background:#15181b; color:#d9dee3; border:1px solid #2b2f33; border-radius:6px; padding:3px 6px; color-scheme:dark; }
+  .gmAU_report_spacer{ flex:1; }
+  .gmAU_report_body{ overflow:auto; padding:12px 16px; }
+  .gmAU_report_table th{ cursor:pointer; user-select:none; }
+  .gmAU_report_heat{ display:inline-block; width:420px; margin:0 18px 14px 0; vertical-align:top; }
+  .gmAU_report_heat .gmTT_cell{ height:14px; }
+  .gmAU_report_doc{ margin:0; background:#16171a; }
+  @media print {
+    body > :not(#gmAU_Report){ display:none !important; }
+    #gmAU_Report{ position:static; inset:auto; overflow:visible; box-shadow:none; border:none; }
+    .gmAU_report_body{ overflow:visible; }
+    .gmAU_report_bar button, .gmAU_report_bar input{ display:none; }
+    #gmAU_Report, #gmAU_Report *{ -webkit-print-color-adjust:exact; print-color-adjust:exact; }
+  }
+  .gmAU_table{ width:100%; border-collapse:collapse; font-size:12px; }
+  .gmAU_table th{ text-align:left; color:#8a9095; font-weight:600; }
+  .gmAU_table th, .gmAU_table td{ padding:3px 4px; border-bottom:1px dashed #2a2e33; }
+  #gmAU_Overlay[data-view] #gmAU_Filters, #gmAU_Overlay[data-view] #gmAU_List,
+  #gmAU_Overlay[data-view] #gmAU_SelectBar{ display:none; }
+  .gmAU_field{ display:grid; grid-template-columns: 140px 1fr auto; column-gap:8px; align-items:center; margin-bottom:8px; }
+  .gmAU_field input, .gmAU_field select{ padding:4px 6px; background:#15181b; color:#d9dee3; border:1px solid #2b2f33; border-radius:6px; }
+  .gmAU_field input.invalid{ border-color:#a04545; }
+  .gmAU_unit{ color:#8a9095; font-size:11px; }
+  .gmAU_error{ grid-column: 2 / -1; color:#f0a6a6; font-size:11px; }
+  .gmAU_actions{ display:flex; gap:8px; justify-content:flex-end; margin-top:10px; }
+  .gmAU_action{ font-size:12px; padding:4px 10px; border-radius:8px; border:1px solid #2b2f33; background:#1a1d20; color:#cfd3d6; cursor:pointer; }
+  .gmAU_action:hover{ background:#23272b; }
+
+  .gmAU_section{ margin:14px 0 6px; font-size:11px; font-weight:700; text-transform:uppercase; letter-spacing:.04em; color:#8a9095; }
+  .gmAU_watch{ display:grid; grid-template-columns: 1fr auto auto; column-gap:8px; align-items:center; margin-bottom:6px; font-size:12px; }
+  .gmAU_watch label{ margin-right:8px; color:#bfc5cb; white-space:nowrap; }
+  .gmAU_hint{ color:#8a9095; font-size:11px; }
+  .gmAU_code{ width:100%; box-sizing:border-box; margin-top:6px; padding:6px; background:#15181b; color:#d9dee3; border:1px solid #2b2f33;
+    border-radius:6px; font: 11px/1.4 ui-monospace, SFMono-Regular, Menlo, Consolas, monospace; resize:vertical; }
+
+  /* Multi-select + overlap view */
+  #gmAU_SelectBar{ display:flex; align-items:center; gap:8px; padding:6px 10px; background:#101214; border-bottom:1px solid #272a2e; font-size:12px; }
+  #gmAU_SelectBar[hidden]{ display:none; }
+  #gmAU_SelCount{ margin-right:auto; color:#bfc5cb; }
+  #gmAU_Overlay.gm--select .gmAU_item{ cursor:pointer; }
+  .gmAU_item.selected{ background:#1b2a22; box-shadow: inset 3px 0 0 #37c876; }
+  .gmAU_slot{ padding:6px 0; border-bottom:1px dashed #2a2e33; font-size:12px; }
+  .gmAU_week_row{ display:grid; grid-template-columns: 32px 1fr; align-items:center; margin-bottom:3px; }
+  .gmTT_cell.top{ outline:1px solid #e7e9ea; }
+  .gmTT_row.absent{ box-shadow:-4px 0 0 -1px #9be5b1; }
+
+  /* Toasts (alert fallback) */
+  #gmAU_Toasts{ position:fixed; right:16px; bottom:16px; z-index:1000001; display:flex; flex-direction:column; gap:8px; }
+  .gmAU_toast{ background:#233328; color:#9be5b1; border:1px solid #2f4638; border-radius:10px; padding:8px 12px;
+    font: 13px/1.4 system-ui, -apple-system, "Segoe UI", Roboto, "Helvetica Neue", Arial, "Noto Sans";
+    box-shadow:0 10px 24px rgba(0,0,0,.55); cursor:pointer; max-width:320px; }
 
   /* Footer (clock only) */
-  #gmAU_Footer{ display:flex; justify-content:flex-end; padding:6px 10px; color:#8a9095; background:#0f1113; border-top:1px solid #272a2e; font-size:11px; }
+  #gmAU_Footer{ display:flex; justify-content:space-between; padding:6px 10px; color:#8a9095; background:#0f1113; border-top:1px solid #272a2e; font-size:11px; }
 
   /* Tooltip */
   #gmAU_Tooltip{
@@ -333,6 +1904,28 @@
     padding:10px; width:480px; max-width:94vw;
   }
   #gmAU_Tooltip.hidden{ display:none; }
+
+  /* Pinned heatmap card */
+  #gmAU_Pin{ position:fixed; top:72px; right:calc(var(--gm-width) + 40px); z-index:1000000; min-width:420px; max-width:94vw;
+    max-height:86vh; overflow:auto; padding:10px; background:rgba(12,13,15,0.98); color:#e7e9ea; border:1px solid #2b2f33;
+    border-radius:10px; box-shadow:0 10px 24px rgba(0,0,0,.55); font: 12px/1.4 system-ui, -apple-system, "Segoe UI", Roboto, Arial; }
+  .gmAU_pin_head{ display:flex; align-items:center; gap:6px; margin:-4px 0 6px; cursor:move; user-select:none; touch-action:none; }
+  .gmAU_pin_controls{ display:flex; flex-wrap:wrap; gap:10px; align-items:center; margin-bottom:8px; color:#9aa0a6; }
+  .gmAU_pin_controls input, .gmAU_pin_controls select{ background:#15181b; color:#d9dee3; border:1px solid #2b2f33; border-radius:6px; padding:2px 4px; }
+  .gmAU_pin_controls input{ width:44px; }
+  .gmAU_pin_controls select{ max-width:140px; }
+  .gmAU_pin_grid{ display:grid; gap:2px; align-items:center; }
+  .gmAU_pin_grid .gmTT_cell{ height:12px; cursor:pointer; }
+  .gmAU_pin_hour{ font-size:10px; color:#8a9095; }
+  .gmAU_pin_day{ font-size:10px; color:#9aa0a6; white-space:nowrap; }
+  .gmAU_pin_day.absent{ color:#9be5b1; }
+  .gmAU_pin_pair{ display:flex; gap:14px; }
+  .gmAU_pin_pair > div{ flex:1 1 0; min-width:380px; }
+  .gmAU_pin_detail{ margin-top:8px; padding:6px 8px; background:#15181b; border:1px solid #23272b; border-radius:6px; }
+  .gmAU_pin_detail ul{ margin:4px 0 0 16px; padding:0; }
+  .gmTT_cell.both, .gmTT_dot.both{ background:#37c876; }
+  .gmTT_cell.onlyA, .gmTT_dot.onlyA{ background:#4a90d9; }
+  .gmTT_cell.onlyB, .gmTT_dot.onlyB{ background:#d9894a; }
   .gmTT_header{ display:flex; align-items:center; gap:10px; margin-bottom:8px; }
   .gmTT_avatar{ width:28px; height:28px; border-radius:6px; object-fit:cover; }
   .gmTT_name{ font-weight:700; font-size:14px; }
@@ -347,6 +1940,19 @@
   .gmTT_cell{ height:10px; border-radius:2px; background:#1e2125; }
   .gmTT_cell.a{ background:#37c876; } .gmTT_cell.w{ background:#b39b45; }
   .gmTT_cell.d{ background:#e05a5a; } .gmTT_cell.i{ background:#2a2e33; }
+  .gmTT_cell.n, .gmTT_dot.n{ background:repeating-linear-gradient(135deg, #16181b 0 2px, #24282c 2px 4px); }
+  .gmTT_cell.p, .gmTT_dot.p{ opacity:.5; }
+  .gmTT_cell.x{ background:transparent; }
+  .gmTT_cell.g1, .gmTT_dot.g1{ background:#1f4430; } .gmTT_cell.g2, .gmTT_dot.g2{ background:#256b43; }
+  .gmTT_cell.g3, .gmTT_dot.g3{ background:#2d9a5c; } .gmTT_cell.g4, .gmTT_dot.g4{ background:#37c876; }
+  .gmTT_timeline{ position:relative; height:10px; margin:0 0 3px; border-radius:3px; background:#1e2125; overflow:hidden; }
+  .gmTT_seg{ position:absolute; top:0; bottom:0; min-width:1px; }
+  .gmTT_seg.active{ background:#37c876; } .gmTT_seg.away{ background:#b39b45; }
+  .gmTT_seg.dnd{ background:#e05a5a; } .gmTT_seg.offline{ background:#3a3f45; }
+  .gmTT_sessions{ margin:0 0 6px; font-size:11px; color:#9aa0a6; }
+  .gmTT_section{ margin:8px 0 2px; font-size:10px; text-transform:uppercase; letter-spacing:.04em; color:#8a9095; }
+  .gmTT_status_row{ font-size:11px; color:#bfc5cb; white-space:nowrap; overflow:hidden; text-overflow:ellipsis; }
+  .gmTT_emoji{ width:14px; height:14px; vertical-align:-2px; }
   .gmTT_hourlabels{ display:flex; justify-content:space-between; font-size:10px; color:#8a9095; margin:4px 2px 8px 42px; }
   .gmTT_leg{ display:flex; gap:10px; font-size:11px; color:#9aa0a6; margin-top:6px; }
   .gmTT_leg span{ display:inline-flex; align-items:center; gap:6px; }
@@ -371,24 +1977,50 @@
     wrap.id = 'gmAU_Overlay';
     wrap.innerHTML = `
       <div id="gmAU_Header">
-        <i id="gmAU_Pulse" aria-hidden="true"></i>
+        <i id="gmAU_Pulse" class="follower" title="Display only – another Slack tab samples presence" aria-hidden="true"></i>
         <span id="gmAU_Count" aria-live="polite">0</span>
+        <button id="gmAU_Health" class="gmAU_btn" title="" aria-label="Selector problems" aria-expanded="false" hidden>⚠</button>
         <input id="gmAU_Search" type="search" placeholder="Search…" aria-label="Search users" />
+        <select id="gmAU_Workspace" title="Workspace" aria-label="Workspace" hidden></select>
+        <button id="gmAU_btnPause"   class="gmAU_btn" title="Pause recording (all workspaces)" aria-label="Pause recording" aria-pressed="false">⏸</button>
         <button id="gmAU_btnRefresh" class="gmAU_btn" title="Refresh now" aria-label="Refresh now">↻</button>
-        <button id="gmAU_btnExport"  class="gmAU_btn" title="Export JSON" aria-label="Export JSON">⇩</button>
+        <button id="gmAU_btnExport"  class="gmAU_btn" title="Export (JSON, CSV, iCalendar)" aria-label="Export">⇩</button>
+        <button id="gmAU_btnImport"  class="gmAU_btn" title="Import JSON" aria-label="Import JSON">⇧</button>
+        <input  id="gmAU_ImportFile" type="file" accept="application/json,.json" multiple hidden />
         <button id="gmAU_btnClear"   class="gmAU_btn" title="Clear data" aria-label="Clear data">🗑</button>
+        <button id="gmAU_btnReport"   class="gmAU_btn" title="Team report" aria-label="Team report">📊</button>
+        <button id="gmAU_btnSelect"   class="gmAU_btn" title="Select users to find a meeting time" aria-label="Select users" aria-pressed="false">☑</button>
+        <button id="gmAU_btnSettings" class="gmAU_btn" title="Settings" aria-label="Settings" aria-expanded="false">⚙</button>
+        <button id="gmAU_btnCollapse" class="gmAU_btn" title="Collapse to a pill" aria-label="Collapse overlay" aria-expanded="true">▁</button>
         <button id="gmAU_btnClose"   class="gmAU_btn" title="Close overlay" aria-label="Close overlay">✕</button>
       </div>
 
+      <div id="gmAU_HealthInfo" role="alert" hidden></div>
+      <div id="gmAU_PausedInfo" role="status" hidden>
+        <span>⏸ Recording paused – no presence is stored in any workspace.</span>
+        <button class="gmAU_action" data-action="resume">Resume</button>
+      </div>
+
       <div id="gmAU_Filters" role="group" aria-label="Filters">
         <button class="gmAU_filter" data-filter="active"   aria-pressed="false">Active</button>
         <button class="gmAU_filter" data-filter="inactive" aria-pressed="false">Inactive</button>
-        <button class="gmAU_filter" data-filter="vacation" aria-pressed="false">Vacation 🌴</button>
+        <button class="gmAU_filter" data-filter="vacation" aria-pressed="false" title="Vacation, sick leave, travel, …">Absent 🌴</button>
         <button class="gmAU_filter" data-filter="all"      aria-pressed="false">All</button>
       </div>
 
+      <div id="gmAU_SelectBar" hidden>
+        <span id="gmAU_SelCount">0 selected</span>
+        <button class="gmAU_action" data-select="overlap">Best time to meet</button>
+        <button class="gmAU_action" data-select="clear">Clear</button>
+      </div>
+      <div id="gmAU_Settings" class="gmAU_view" role="form" aria-label="Settings"></div>
+      <div id="gmAU_Overlap" class="gmAU_view" aria-label="Best time to meet"></div>
+      <div id="gmAU_Calendar" class="gmAU_view" aria-label="Monthly calendar"></div>
+      <div id="gmAU_Export" class="gmAU_view" role="form" aria-label="Export"></div>
       <div id="gmAU_List" role="list"></div>
-      <div id="gmAU_Footer"><span id="gmAU_Clock" aria-live="polite">–:–</span></div>
+      <div id="gmAU_Footer"><span id="gmAU_Usage"></span><span id="gmAU_Clock" aria-live="polite">–:–</span></div>
+      <button id="gmAU_Pill" title="Expand overlay (drag to move)" aria-label="Expand overlay"><i></i><span id="gmAU_PillCount">0</span> active</button>
+      <div id="gmAU_Resize" title="Resize" aria-hidden="true"></div>
     `;
     document.body.appendChild(wrap);
 
@@ -400,49 +2032,116 @@
 
     // Header actions
     $('#gmAU_btnClose').addEventListener('click', () => wrap.classList.add('gm--hidden'));
+    $('#gmAU_btnCollapse').addEventListener('click', () => setCollapsed(true));
+    $('#gmAU_btnReport').addEventListener('click', showReport);
+    $('#gmAU_Calendar').addEventListener('click', (e) => {
+      const btn = e.target.closest('button'); if (!btn) return;
+      if (btn.dataset.action === 'back') setView(null);
+      else if (btn.dataset.action === 'untrack') stopTracking(calendarState.userId);
+      else if (btn.dataset.month) showCalendar(calendarState.userId, shiftMonth(calendarState.month, Number(btn.dataset.month)));
+    });
+    initLayout();
     $('#gmAU_btnRefresh').addEventListener('click', logPresenceOnce);
-    $('#gmAU_btnExport').addEventListener('click', exportStore);
+    $('#gmAU_btnPause').addEventListener('click', () => setPaused(!isPaused()));
+    $('#gmAU_PausedInfo').addEventListener('click', (e) => { if (e.target.closest('[data-action="resume"]')) setPaused(false); });
+    $('#gmAU_btnExport').addEventListener('click', toggleExport);
+    $('#gmAU_Export').addEventListener('change', (e) => {
+      const field = e.target.dataset.export;
+      if (!field || !e.target.value) return;
+      exportState[field] = e.target.type === 'checkbox' ? e.target.checked : e.target.value;
+      if (exportState.from > exportState.to) [exportState.from, exportState.to] = [exportState.to, exportState.from];
+      renderExport();
+    });
+    $('#gmAU_Export').addEventListener('click', (e) => {
+      const action = e.target.closest('[data-action]')?.dataset.action;
+      if (action === 'download') runExport();
+      if (action === 'back') setView(null);
+    });
+    $('#gmAU_btnImport').addEventListener('click', () => $('#gmAU_ImportFile').click());
+    $('#gmAU_ImportFile').addEventListener('change', (e) => {
+      importFiles(Array.from(e.target.files || []));
+      e.target.value = '';
+    });
     $('#gmAU_btnClear').addEventListener('click', clearStore);
+    $('#gmAU_btnSettings').addEventListener('click', () => toggleSettings());
+    $('#gmAU_btnSelect').addEventListener('click', () => setSelecting(!selecting));
+    $('#gmAU_Health').addEventListener('click', (e) => {
+      const info = $('#gmAU_HealthInfo');
+      info.hidden = !info.hidden;
+      e.currentTarget.setAttribute('aria-expanded', String(!info.hidden));
+    });
+    $('#gmAU_HealthInfo').addEventListener('click', (e) => {
+      if (e.target.closest('[data-health]')?.dataset.health !== 'ack') return;
+      health.acknowledged = true;
+      health.issues = [];
+      renderHealth();
+      logPresenceOnce();
+    });
+    $('#gmAU_SelectBar').addEventListener('click', (e) => {
+      const action = e.target.closest('[data-select]')?.dataset.select;
+      if (action === 'overlap' && selectedIds.size) showOverlap();
+      if (action === 'clear') { selectedIds.clear(); renderOverlay(); }
+    });
     $('#gmAU_Search').addEventListener('input', throttle(renderOverlay, 150));
+    $('#gmAU_Workspace').addEventListener('change', (e) => {
+      viewTeam = e.target.value || null;
+      hideTooltip();
+      renderOverlay();
+    });
 
     // Filter buttons
+    syncFilterButtons();
     $$('#gmAU_Filters .gmAU_filter').forEach((btn) => {
-      if (btn.dataset.filter === prefs.overlayFilter) btn.classList.add('active');
-      btn.setAttribute('aria-pressed', String(btn.classList.contains('active')));
       btn.addEventListener('click', () => {
-        $$('#gmAU_Filters .gmAU_filter').forEach((b) => { b.classList.remove('active'); b.setAttribute('aria-pressed', 'false'); });
-        btn.classList.add('active');
-        btn.setAttribute('aria-pressed', 'true');
         prefs.overlayFilter = btn.dataset.filter;
-        savePrefs();
-        renderOverlay();
+        commitPrefs(['overlayFilter']);
       });
     });
 
     // Clock
-    setInterval(() => { $('#gmAU_Clock').textContent = padIntlTime(new Date()); }, 1_000);
+    setInterval(() => {
+      const zone = prefs.displayTimeZone === 'local' ? '' : ` ${prefs.displayTimeZone}`;
+      $('#gmAU_Clock').textContent = padIntlTime(new Date()) + zone;
+    }, 1_000);
 
     // Overlay hover => tooltip (open to the left)
-    $('#gmAU_List').addEventListener('mouseover', (e) => {
-      const li = e.target.closest('.gmAU_item'); if (!li) return;
-      showTooltip(li.dataset.uid, { x: e.clientX, y: e.clientY + 8, side: 'left' });
+    const listHover = (e) => {
+      const at = { x: e.clientX, y: e.clientY + 8, side: 'left', team: viewTeam };
+      const li = e.target.closest('.gmAU_item');
+      if (li) { showTooltip(li.dataset.uid, at); return; }
+      const grp = e.target.closest('.gmAU_group');
+      if (grp && grp.dataset.group) showGroupTooltip(grp.dataset.group, at);
+      else hideTooltip();
+    };
+    $('#gmAU_List').addEventListener('mouseover', listHover);
+    $('#gmAU_List').addEventListener('mousemove', throttle(listHover, 60));
+    $('#gmAU_List').addEventListener('mouseleave', hideTooltip);
+    $('#gmAU_List').addEventListener('click', (e) => {
+      const star = e.target.closest('[data-star]');
+      if (star) { toggleWatch(star.dataset.star); return; }
+      const li = e.target.closest('.gmAU_item');
+      if (li && selecting) { toggleSelected(li.dataset.uid); return; }
+      if (li) { pinUser(li.dataset.uid); return; }
+      const grp = e.target.closest('.gmAU_group');
+      if (grp) toggleGroupCollapsed(grp.dataset.group);
     });
-    $('#gmAU_List').addEventListener('mousemove', throttle((e) => {
+    $('#gmAU_List').addEventListener('contextmenu', (e) => {
       const li = e.target.closest('.gmAU_item'); if (!li) return;
-      showTooltip(li.dataset.uid, { x: e.clientX, y: e.clientY + 8, side: 'left' });
-    }, 60));
-    $('#gmAU_List').addEventListener('mouseleave', hideTooltip);
+      e.preventDefault();
+      hideTooltip();
+      assignGroups(li.dataset.uid, li.querySelector('.gmAU_name_text')?.textContent || li.dataset.uid);
+    });
 
     // Slack left sidebar hover => tooltip left of cursor (fits viewport)
     document.addEventListener('mouseover', (e) => {
       const row = e.target.closest(SEL.anyRow); if (!row) return;
       const id  = row.getAttribute('data-qa-channel-sidebar-channel-id'); if (!id) return;
-      showTooltip(id, { x: e.clientX, y: e.clientY + 6, side: 'left' });
+      showTooltip(id, { x: e.clientX, y: e.clientY + 6, side: 'left', team: liveTeam });
     }, { capture: true });
     document.addEventListener('mousemove', throttle((e) => {
       const row = e.target.closest(SEL.anyRow); if (!row) return;
       const id  = row.getAttribute('data-qa-channel-sidebar-channel-id'); if (!id) return;
-      showTooltip(id, { x: e.clientX, y: e.clientY + 6, side: 'left' });
+      showTooltip(id, { x: e.clientX, y: e.clientY + 6, side: 'left', team: liveTeam });
     }, 60), { capture: true });
     document.addEventListener('mouseout', (e) => {
       if (e.relatedTarget && (e.relatedTarget.closest('#gmAU_Tooltip') || e.relatedTarget.closest(SEL.anyRow))) return;
@@ -450,46 +2149,357 @@
     });
   };
 
-  /** Download current store as JSON (Windows-safe filename). */
-  const exportStore = () => {
-    const blob = new Blob([JSON.stringify(loadStore(), null, 2)], { type: 'application/json' });
-    const url  = URL.createObjectURL(blob);
-    const ts   = new Date().toISOString().slice(0, 19).replace(/:/g, '-');
-    const a    = document.createElement('a');
+  /** Reflect `prefs.overlayFilter` in the filter buttons. */
+  const syncFilterButtons = () => {
+    $$('#gmAU_Filters .gmAU_filter').forEach((b) => {
+      const on = b.dataset.filter === prefs.overlayFilter;
+      b.classList.toggle('active', on);
+      b.setAttribute('aria-pressed', String(on));
+    });
+  };
+
+  /** Display name of a workspace for prompts and the switcher. */
+  const workspaceName = (team) => loadWorkspaces()[team]?.name || team || 'Slack';
+
+  /** Save text as a file through a temporary object URL. */
+  const downloadFile = (name, text, type) => {
+    const url = URL.createObjectURL(new Blob([text], { type }));
+    const a   = document.createElement('a');
     a.href = url;
-    a.download = `slack-presence-${ts}.json`;
+    a.download = name;
     document.body.appendChild(a);
     a.click();
     a.remove();
     setTimeout(() => URL.revokeObjectURL(url), 1_000);
   };
 
-  /** Clear stored history. */
+  /** Download the shown workspace's store as JSON (Windows-safe filename). */
+  const exportStore = () => {
+    const ts = new Date().toISOString().slice(0, 19).replace(/:/g, '-');
+    downloadFile(`slack-presence-${viewTeam ? `${viewTeam}-` : ''}${ts}.json`, JSON.stringify(loadStore(), null, 2), 'application/json');
+  };
+
+  // ──────────────────────────────────────────────────────────────────────────────
+  // Export formats (CSV for spreadsheets, iCalendar for shared calendars)
+  // ──────────────────────────────────────────────────────────────────────────────
+
+  /** Export formats offered in the export view; JSON stays the complete, re-importable backup. */
+  const EXPORT_FORMATS = [
+    { key: 'json',     label: 'JSON backup (everything)', ext: 'json', type: 'application/json',
+      hint: 'The full history of this workspace; the only format Import reads back. Ignores range and users.' },
+    { key: 'hourly',   label: 'CSV – hourly buckets',     ext: 'csv',  type: 'text/csv',
+      hint: 'One row per user and UTC hour with the number of scans that saw them active, away, in DND and in total.' },
+    { key: 'daily',    label: 'CSV – daily summaries',    ext: 'csv',  type: 'text/csv',
+      hint: 'One row per user and display-zone day with active, away, DND and observed minutes, also for days past the hourly history.' },
+    { key: 'sessions', label: 'CSV – active sessions',    ext: 'csv',  type: 'text/csv',
+      hint: 'One row per reconstructed presence session (state, start, end, minutes) overlapping the range.' },
+    { key: 'ics',      label: 'iCalendar – absences',     ext: 'ics',  type: 'text/calendar',
+      hint: 'All-day events for detected vacation, sick leave and other absences, e.g. for a shared team calendar.' }
+  ];
+
+  const exportState = { format: 'hourly', from: null, to: null, scope: 'all', anonymize: false };
+
+  /** Records of the chosen scope: everybody, the list selection or a group. */
+  const exportRecords = (store, scope) => {
+    const ids = scope === 'selected' ? [...selectedIds]
+      : scope.startsWith('group:') ? prefs.groups[scope.slice(6)] || []
+        : Object.keys(store.users);
+    return ids.map((id) => store.users[store.aliases?.[id] || id]).filter(Boolean)
+      .sort((a, b) => (a.name || a.id).localeCompare(b.name || b.id));
+  };
+
+  /** RFC 4180 cell; leading =+-@ are defused so spreadsheets don't run Slack-provided names as formulas. */
+  const csvCell = (v) => {
+    const str = v == null ? '' : String(v);
+    const safe = /^[=+\-@]/.test(str) ? `'${str}` : str;
+    return /[",\r\n]/.test(safe) ? `"${safe.replace(/"/g, '""')}"` : safe;
+  };
+  const toCsv = (rows) => rows.map((r) => r.map(csvCell).join(',')).join('\r\n') + '\r\n';
+
+  /** Hourly sample counts of the records between two UTC day keys (inclusive). */
+  const hourlyCsv = (recs, from, to) => {
+    const rows = [['user_id', 'name', 'hour_utc', 'active', 'away', 'dnd', 'total']];
+    for (const rec of recs) {
+      for (const k of Object.keys(rec.hourly || {}).sort()) {
+        if (k.slice(0, 10) < from || k.slice(0, 10) > to) continue;
+        const hr = rec.hourly[k];
+        rows.push([rec.id, rec.name, k, hr.a, hr.w, hr.d, hr.t]);
+      }
+    }
+    return toCsv(rows);
+  };
+
+  /** Daily summaries (stored rollups and hourly days) of the records between two day keys (inclusive). */
+  const dailyCsv = (recs, from, to) => {
+    const rows = [['user_id', 'name', 'day', 'active_min', 'away_min', 'dnd_min', 'observed_min', 'first_active', 'last_active']];
+    const iso  = (ts) => (ts ? new Date(ts).toISOString() : '');
+    for (const rec of recs) {
+      for (const [day, sum] of Object.entries(dailySummaries(rec)).sort(([a], [b]) => a.localeCompare(b))) {
+        if (day < from || day > to || !sum.obs) continue;
+        rows.push([rec.id, rec.name, day, sum.a, sum.w, sum.d, sum.obs, iso(sum.first), iso(sum.last)]);
+      }
+    }
+    return toCsv(rows);
+  };
+
+  /** Oldest day an export format has data for in the records (today when there is none). */
+  const exportOldestDay = (recs, format, today) => {
+    const utcDay = (ts) => new Date(ts).toISOString().slice(0, 10);
+    const days = recs.flatMap((rec) => {
+      const hourly = Object.keys(rec.hourly || {}).sort();
+      if (format === 'hourly') return hourly.slice(0, 1).map((k) => k.slice(0, 10));
+      if (format === 'daily') return [...Object.keys(rec.daily || {}), ...hourly.slice(0, 1).map((k) => zonedParts(Date.parse(k)).dayKey)];
+      if (format === 'sessions') return (rec.transitions || []).slice(0, 1).map((t) => utcDay(t.ts));
+      return (rec.absences || []).map((ab) => utcDay(ab.start));
+    });
+    return days.sort()[0] || today;
+  };
+
+  /** Presence sessions of the records overlapping the range `[start, end)`. */
+  const sessionsCsv = (recs, start, end) => {
+    const rows = [['user_id', 'name', 'state', 'start', 'end', 'minutes']];
+    for (const rec of recs) {
+      for (const ss of buildSessions(rec)) {
+        const stop = ss.end || Date.now();
+        if (ss.start >= end || stop <= start) continue;
+        rows.push([rec.id, rec.name, ss.state, new Date(ss.start).toISOString(), ss.end ? new Date(ss.end).toISOString() : '',
+          Math.round((stop - ss.start) / 60_000)]);
+      }
+    }
+    return toCsv(rows);
+  };
+
+  /** iCalendar TEXT value escaping (RFC 5545 §3.3.11). */
+  const icsText = (v) => String(v || '').replace(/[\\;,]/g, (c) => `\\${c}`).replace(/\r?\n/g, '\\n');
+
+  /** Fold a content line at 75 octets (RFC 5545 §3.1), never inside a UTF-8 sequence. */
+  const icsFold = (line) => {
+    const out = [];
+    let cur = '';
+    let len = 0;
+    for (const ch of line) {
+      const cp = ch.codePointAt(0);
+      const n  = cp < 0x80 ? 1 : cp < 0x800 ? 2 : cp < 0x10000 ? 3 : 4;
+      if (len + n > (out.length ? 74 : 75)) { out.push(cur); cur = ''; len = 0; }
+      cur += ch;
+      len += n;
+    }
+    out.push(cur);
+    return out.join('\r\n ');
+  };
+
+  /** All-day events for the recorded absences overlapping the range `[start, end)`. */
+  const absencesIcs = (recs, start, end) => {
+    const stamp = new Date().toISOString().replace(/[-:]/g, '').replace(/\.\d+/, '');
+    const date  = (dayKey) => dayKey.replace(/-/g, '');
+    const lines = ['BEGIN:VCALENDAR', 'VERSION:2.0', 'PRODID:-//slack-active-users-overlay//absences//EN', 'CALSCALE:GREGORIAN',
+      `X-WR-CALNAME:${icsText(`Absences – ${workspaceName(viewTeam)}`)}`];
+    for (const rec of recs) {
+      for (const ab of rec.absences || []) {
+        const stop = ab.end || Date.now();
+        if (ab.start >= end || stop <= start) continue;
+        const who = rec.name || rec.id;
+        lines.push('BEGIN:VEVENT',
+          `UID:${rec.id}-${ab.start}-${ab.category}@${viewTeam || 'slack'}.slack-presence`,
+          `DTSTAMP:${stamp}`,
+          `DTSTART;VALUE=DATE:${date(zonedParts(ab.start).dayKey)}`,
+          // DTEND is exclusive; ongoing absences run through today.
+          `DTEND;VALUE=DATE:${date(shiftDayKey(zonedParts(stop).dayKey, 1))}`,
+          `SUMMARY:${icsText(`${ab.icon ? `${ab.icon} ` : ''}${who}: ${ab.label}${ab.end ? '' : ' (ongoing)'}`)}`,
+          ...(ab.text ? [`DESCRIPTION:${icsText(ab.text)}`] : []),
+          `CATEGORIES:${icsText(ab.category)}`,
+          'TRANSP:TRANSPARENT',
+          'END:VEVENT');
+      }
+    }
+    lines.push('END:VCALENDAR');
+    return lines.map(icsFold).join('\r\n') + '\r\n';
+  };
+
+  /** Build and download the export chosen in the export view. */
+  const runExport = () => {
+    const { format, from, to, scope, anonymize } = exportState;
+    if (format === 'json' && !anonymize) { exportStore(); return; }
+    if (format === 'json') {
+      // Aliases map Slack channel ids to user ids and would undo the pseudonyms.
+      const { aliases, ...store } = loadStore();
+      const users = Object.fromEntries(Object.values(store.users).map(anonymizeRecord).map((rec) => [rec.id, rec]));
+      const ts = new Date().toISOString().slice(0, 19).replace(/:/g, '-');
+      downloadFile(`slack-presence-${viewTeam ? `${viewTeam}-` : ''}anonymized-${ts}.json`, JSON.stringify({ ...store, users }, null, 2), 'application/json');
+      return;
+    }
+    const fmt   = EXPORT_FORMATS.find((f) => f.key === format);
+    const recs  = exportRecords(loadStore(), scope).map((rec) => (anonymize ? anonymizeRecord(rec) : rec));
+    const start = Date.parse(`${from}T00:00:00Z`);
+    const end   = Date.parse(`${shiftDayKey(to, 1)}T00:00:00Z`);
+    const text  = format === 'hourly' ? hourlyCsv(recs, from, to)
+      : format === 'daily' ? dailyCsv(recs, from, to)
+        : format === 'sessions' ? sessionsCsv(recs, start, end)
+          : absencesIcs(recs, start, end);
+    const who   = scope === 'all' ? '' : `${scope.replace(/^group:/, '').replace(/[^\w-]+/g, '_')}-`;
+    // The BOM makes spreadsheet apps read names as UTF-8.
+    downloadFile(`slack-presence-${viewTeam ? `${viewTeam}-` : ''}${format}-${who}${anonymize ? 'anonymized-' : ''}${from}_${to}.${fmt.ext}`,
+      fmt.ext === 'csv' ? `\ufeff${text}` : text, `${fmt.type};charset=utf-8`);
+  };
+
+  /**
+   * Render the export view (format, date range and users). The range is clamped to the days the
+   * chosen format has data for, so an old range does not quietly produce an empty file.
+   */
+  const renderExport = () => {
+    const fmt   = EXPORT_FORMATS.find((f) => f.key === exportState.format);
+    const json  = fmt.key === 'json';
+    const today = fmt.key === 'daily' ? zonedParts(Date.now()).dayKey : new Date().toISOString().slice(0, 10);
+    if (exportState.scope === 'selected' && !selectedIds.size) exportState.scope = 'all';
+    if (exportState.scope.startsWith('group:') && !prefs.groups[exportState.scope.slice(6)]) exportState.scope = 'all';
+    const oldest = json ? today : exportOldestDay(exportRecords(loadStore(), exportState.scope), fmt.key, today);
+    const clampDay = (day) => (day < oldest ? oldest : day > today ? today : day);
+    exportState.to   = clampDay(exportState.to || today);
+    exportState.from = clampDay(exportState.from || shiftDayKey(today, -(prefs.horizonDays - 1)));
+    const dayLabel = fmt.key === 'daily' ? 'day' : 'UTC day';
+    const scopes = [
+      { value: 'all', label: 'All users' },
+      ...(selectedIds.size ? [{ value: 'selected', label: `Selected users (${selectedIds.size})` }] : []),
+      ...Object.keys(prefs.groups).sort((a, b) => a.localeCompare(b)).map((g) => ({ value: `group:${g}`, label: `Group: ${g}` }))
+    ];
+    $('#gmAU_Export').innerHTML = html`
+      <div class="gmAU_section">Export ${workspaceName(viewTeam)}</div>
+      <div class="gmAU_field">
+        <label for="gmAU_exp_format">Format</label>
+        <select id="gmAU_exp_format" data-export="format">
+          ${EXPORT_FORMATS.map((f) => html`<option value="${f.key}"${f.key === fmt.key ? ' selected' : ''}>${f.label}</option>`)}
+        </select><span></span>
+      </div>
+      <div class="gmAU_field">
+        <label for="gmAU_exp_from">From (${dayLabel})</label>
+        <input id="gmAU_exp_from" type="date" data-export="from" value="${exportState.from}" min="${oldest}" max="${today}"${json ? ' disabled' : ''}>
+        <span class="gmAU_unit">${!json && `data from ${oldest}`}</span>
+      </div>
+      <div class="gmAU_field">
+        <label for="gmAU_exp_to">To (${dayLabel})</label>
+        <input id="gmAU_exp_to" type="date" data-export="to" value="${exportState.to}" min="${oldest}" max="${today}"${json ? ' disabled' : ''}><span></span>
+      </div>
+      <div class="gmAU_field">
+        <label for="gmAU_exp_scope">Users</label>
+        <select id="gmAU_exp_scope" data-export="scope"${json ? ' disabled' : ''}>
+          ${scopes.map((o) => html`<option value="${o.value}"${o.value === exportState.scope ? ' selected' : ''}>${o.label}</option>`)}
+        </select><span></span>
+      </div>
+      <label class="gmAU_hint"><input type="checkbox" data-export="anonymize"${exportState.anonymize ? ' checked' : ''}>
+        Anonymize: stable pseudonyms instead of names, ids and avatars; status texts are left out</label>
+      <div class="gmAU_hint">${fmt.hint}</div>
+      <div class="gmAU_actions">
+        <button class="gmAU_action" data-action="download">Download</button>
+        <button class="gmAU_action" data-action="back">Back to list</button>
+      </div>
+    `;
+  };
+
+  /** Open the export view in place of the user list (or close it again). */
+  const toggleExport = () => {
+    const show = $('#gmAU_Overlay').dataset.view !== 'export';
+    if (show) renderExport();
+    setView(show ? 'export' : null);
+  };
+
+  /** Merge one or more exported JSON files into the store after user confirmation. */
+  const importFiles = async (files) => {
+    if (!files.length) return;
+    const team = viewTeam;
+    const parsed = [];
+    const failed = [];
+    for (const file of files) {
+      try {
+        const data = JSON.parse(await file.text());
+        if (!data || typeof data.users !== 'object') throw new Error('no "users" map');
+        parsed.push(data);
+      } catch (err) {
+        failed.push(`${file.name} (${err.message})`);
+      }
+    }
+
+    // Merge into a copy of the current store: the cached one must stay untouched until saving.
+    const merge = () => {
+      const store = JSON.parse(JSON.stringify(loadStore(team)));
+      const totals = { added: 0, updated: 0, bucketsAdded: 0, bucketsReplaced: 0 };
+      for (const data of parsed) {
+        const stats = mergeStores(store, data, notTracked(team));
+        for (const k of Object.keys(totals)) totals[k] += stats[k];
+      }
+      return { store, totals, pruned: pruneOld(store) };
+    };
+
+    const { totals, pruned } = merge();
+    const lines = [
+      `Import ${files.length - failed.length} of ${files.length} file(s):`,
+      `• ${totals.added} new user(s), ${totals.updated} updated`,
+      `• ${totals.bucketsAdded} hourly bucket(s) added, ${totals.bucketsReplaced} replaced`,
+      `• ${pruned} bucket(s) outside the ${prefs.horizonDays}-day horizon dropped`
+    ];
+    if (failed.length) lines.push('', 'Skipped:', ...failed.map((f) => `• ${f}`));
+
+    if (failed.length === files.length) { alert(lines.join('\n')); return; }
+    if (!confirm(`${lines.join('\n')}\n\nSave merged history?`)) return;
+    // Scans may have been saved while the dialog was open: merge again into the latest store.
+    saveStore(merge().store, team);
+    renderOverlay();
+  };
+
+  /** Clear stored history of the shown workspace. */
   const clearStore = () => {
-    if (confirm('Delete stored presence history?')) {
-      Storage.del(STORE_KEY);
+    if (confirm(`Delete stored presence history of “${workspaceName(viewTeam)}”?`)) {
+      deleteStore(viewTeam);
       renderOverlay();
     }
   };
 
+  /** Fill the workspace switcher; hidden while only one workspace is known. */
+  const renderWorkspaceSwitcher = () => {
+    const sel = $('#gmAU_Workspace');
+    const all = loadWorkspaces();
+    const teams = Object.keys(all).sort((a, b) => all[a].name.localeCompare(all[b].name));
+    sel.hidden = teams.length < 2;
+    patchHtml(sel, html`${teams.map((t) =>
+      html`<option value="${t}" ${t === viewTeam && html`selected`}>${all[t].name}${t === liveTeam && ' (this tab)'}</option>`
+    )}`);
+  };
+
+  /** Users of a workspace not open in this tab, reconstructed from stored records. */
+  const storedUsers = (store) => Object.values(store.users).map((rec) => ({
+    id: rec.id,
+    name: rec.name || rec.id,
+    avatar: rec.avatar,
+    // Only trust the last status while another tab is still sampling that workspace.
+    presence: (Date.now() - (rec.updatedAt || 0) < 3 * prefs.scanIntervalMs) ? rec.lastStatus : PRES.OFF,
+    customStatusText: rec.customStatusText,
+    customStatusEmoji: rec.customStatusEmoji,
+    customStatusEmojiShort: rec.customStatusEmojiShort,
+    customStatusSrc: rec.customStatusSrc
+  }));
+
+  /** Users with a visible presence; status fields fall back to the record when the source has none. */
+  const liveUsers = (store) => {
+    const tracked = trackedIn();
+    return enumerateUsers().filter((u) => u.presence && tracked(u)).map((u) => {
+      if (u.hasStatus) return u;
+      const rec = store.users[u.id] || {};
+      return { ...u, customStatusText: rec.customStatusText, customStatusEmoji: rec.customStatusEmoji,
+        customStatusEmojiShort: rec.customStatusEmojiShort, customStatusSrc: rec.customStatusSrc };
+    });
+  };
+
   /** Create last-12-hours micro bars for a user record (UTC based). */
-  const renderMiniBars = (rec) => {
+  const renderMiniBars = (rec, store) => {
     if (!rec) return '';
     const cells = [];
     const n = now();
     const baseUTC = Date.UTC(n.getUTCFullYear(), n.getUTCMonth(), n.getUTCDate(), n.getUTCHours(), 0, 0, 0);
     for (let i = 11; i >= 0; i--) {
       const key = new Date(baseUTC - i * 3_600_000).toISOString();
-      const hr  = rec.hourly?.[key];
-      let cls = 'i';
-      if (hr) {
-        if ((hr.a | 0) >= prefs.activeThresholdMin) cls = 'a';
-        else if ((hr.d | 0) >= prefs.activeThresholdMin) cls = 'd';
-        else if ((hr.w | 0) >= prefs.activeThresholdMin) cls = 'w';
-      }
-      cells.push(`<i class="gmAU_mini_cell ${cls}" title="${new Date(key).toLocaleString('en-US')}"></i>`);
+      const { cls, cov } = hourCell(store, rec, key);
+      cells.push(html`<i class="gmAU_mini_cell ${cls}" title="${fmtHourKey(key)} • ${coverageText(cov)}"></i>`);
     }
-    return `<span class="gmAU_mini">${cells.join('')}</span>`;
+    return html`<span class="gmAU_mini">${cells}</span>`;
   };
 
   /** Render overlay list. */
@@ -501,7 +2511,8 @@
     const query   = ($('#gmAU_Search')?.value || '').trim().toLowerCase();
 
     const store   = loadStore();
-    const users   = enumerateDmUsers();
+    const users   = viewTeam === liveTeam ? liveUsers(store) : storedUsers(store);
+    renderWorkspaceSwitcher();
 
     const filtered = users
       .filter((u) => {
@@ -514,152 +2525,1622 @@
       .sort((a, b) => a.name.localeCompare(b.name));
 
     countEl.textContent = String(filtered.length);
-    list.innerHTML = '';
-
-    for (const u of filtered) {
-      const rec   = store.users[u.id];
-      const vac   = isVacation(u);
-      const key   = vac ? PRES.VAC : (u.presence || PRES.OFF);
-      const label = STATUS_LABEL[key];
-
-      const note = (vac && (u.customStatusText || '').trim())
-        ? `<div class="gmAU_note">Note: ${u.customStatusText.trim()}</div>` : '';
-
-      const row = document.createElement('div');
-      row.className = 'gmAU_item';
-      row.dataset.uid = u.id;
-      row.setAttribute('role', 'listitem');
-      row.innerHTML = `
-        <img class="gmAU_avatar" src="${u.avatar || ''}" alt="">
-        <div class="gmAU_name" title="${u.name}">
-          <span class="gmAU_name_text">${u.name}</span>
-          ${note}
-        </div>
-        ${renderMiniBars(rec)}
-        <span class="gmAU_status ${key}" title="${label}">${label}</span>
-      `;
-      list.appendChild(row);
+    renderUsage();
+    renderPaused();
+    renderPin(false);
+    $('#gmAU_PillCount').textContent = String(users.filter((u) => u.presence === PRES.ACTIVE).length);
+    $('#gmAU_SelCount').textContent = `${selectedIds.size} selected`;
+
+    // Rows are keyed (section + user) and only re-rendered when their markup changed, so the
+    // list keeps its scroll position and hover state across sidebar mutations.
+    const existing = new Map($$(':scope > [data-key]', list).map((el) => [el.dataset.key, el]));
+    const nodes = [];
+    const groupNames = Object.keys(prefs.groups).sort((a, b) => a.localeCompare(b));
+    if (!groupNames.length) {
+      for (const u of filtered) nodes.push(renderUserRow(u, store, existing.get(`:${u.id}`), ''));
+      placeRows(list, nodes);
+      return;
+    }
+
+    // Grouped view: one collapsible section per group, then everyone not in a group.
+    const grouped = new Set(groupNames.flatMap((g) => prefs.groups[g]));
+    const sections = [
+      ...groupNames.map((g) => ({ name: g, label: g, ids: new Set(prefs.groups[g]) })),
+      { name: '', label: 'Ungrouped', ids: new Set(users.map((u) => u.id).filter((id) => !grouped.has(id))) }
+    ];
+    for (const sec of sections) {
+      const members = users.filter((u) => sec.ids.has(u.id));
+      if (!members.length && !sec.name) continue;
+      const collapsed = !!prefs.collapsedGroups[sec.name];
+      const active = members.filter((u) => u.presence === PRES.ACTIVE).length;
+
+      const head = existing.get(`g:${sec.name}`) || document.createElement('div');
+      head.className = 'gmAU_group';
+      head.dataset.key = `g:${sec.name}`;
+      head.dataset.group = sec.name;
+      head.setAttribute('role', 'button');
+      head.setAttribute('aria-expanded', String(!collapsed));
+      patchHtml(head, html`
+        <span class="gmAU_group_caret">${collapsed ? '▸' : '▾'}</span>
+        <span>${sec.label}</span>
+        <span class="gmAU_group_count">${active} of ${members.length} active</span>
+      `);
+      nodes.push(head);
+      if (collapsed) continue;
+      for (const u of filtered) {
+        if (sec.ids.has(u.id)) nodes.push(renderUserRow(u, store, existing.get(`${sec.name}:${u.id}`), sec.name));
+      }
     }
+    placeRows(list, nodes);
   };
 
-  // ──────────────────────────────────────────────────────────────────────────────
-  // Tooltip
-  // ──────────────────────────────────────────────────────────────────────────────
+  /** "History 1.2 MB" in the footer: size of the shown workspace's history and of everything stored. */
+  let usageFor = null;
+  const renderUsage = () => {
+    const rev = `${viewTeam}|${storeRev(viewTeam)}`;
+    if (rev === usageFor) return;
+    usageFor = rev;
+    const fmtSize = (n) => (n < 1024 * 1024 ? `${Math.max(1, Math.round(n / 1024))} KB` : `${(n / 1024 / 1024).toFixed(1)} MB`);
+    const own   = Storage.size(scopedKey(STORE_KEY, viewTeam));
+    const total = Storage.keys().filter((k) => k.startsWith('gmSlackPresence.')).reduce((n, k) => n + Storage.size(k), 0);
+    const el = $('#gmAU_Usage');
+    el.textContent = `History ${fmtSize(own)}`;
+    el.title = `${fmtSize(own)} for this workspace, ${fmtSize(Math.max(own, total))} stored by the script in total`;
+  };
 
-  /** Place tooltip next to cursor, preferring left side when requested/needed. */
-  const placeTooltip = (tt, at, sidePref = 'auto') => {
-    const pad = 10;
-    tt.style.visibility = 'hidden';
-    tt.classList.remove('hidden');
-    const rect = tt.getBoundingClientRect();
-    let left = at.x + 12;
-    let top  = at.y;
+  /** Replace an element's markup only when it differs from what was rendered last time. */
+  const renderedHtml = new WeakMap();
+  const patchHtml = (el, markup) => {
+    const next = String(markup);
+    if (renderedHtml.get(el) === next) return;
+    el.innerHTML = next;
+    renderedHtml.set(el, next);
+  };
 
-    const vw = innerWidth;
-    const vh = innerHeight;
-    const needLeft = (sidePref === 'left') || (left + rect.width + pad > vw);
-    if (needLeft) left = at.x - rect.width - 12;
-    if (top + rect.height + pad > vh) top = Math.max(pad, vh - rect.height - pad);
-    if (top < pad) top = pad;
-    if (left < pad) left = pad;
-    if (left + rect.width + pad > vw) left = Math.max(pad, vw - rect.width - pad);
+  /** Put `nodes` in order at the top of `list` (moving only misplaced ones) and drop the rest. */
+  const placeRows = (list, nodes) => {
+    nodes.forEach((node, i) => {
+      if (list.children[i] !== node) list.insertBefore(node, list.children[i] || null);
+    });
+    while (list.children.length > nodes.length) list.lastElementChild.remove();
+  };
 
-    tt.style.left = `${Math.round(left)}px`;
-    tt.style.top  = `${Math.round(top)}px`;
-    tt.style.visibility = 'visible';
+  /** "Vacation since Oct 3 – back on Monday" for a detected absence (start from the open period). */
+  const absenceText = (rule, rec, u) => {
+    const open = (rec?.absences || []).find((a) => !a.end && a.category === rule.category);
+    const text = (u?.customStatusText || '').trim();
+    return `${rule.label || rule.category}${open ? ` since ${fmtDate(open.start)}` : ''}${text ? ` – ${text}` : ''}`;
   };
 
-  /** Render tooltip for a user at a screen position (UTC-based grid). */
-  const showTooltip = (userId, opts) => {
-    const { x, y, side = 'auto' } = (opts || {});
-    const tt = $('#gmAU_Tooltip'); if (!tt) return;
+  /** One list row for a user, updating `row` in place when given. */
+  const renderUserRow = (u, store, row = document.createElement('div'), section = '') => {
+    const rec   = store.users[u.id];
+    const rule  = detectAbsence(u);
+    const vac   = !!rule;
+    const key   = vac ? PRES.VAC : (u.presence || PRES.OFF);
+    const label = vac ? (rule.icon || STATUS_LABEL[key]) : STATUS_LABEL[key];
+    const title = vac ? (rule.label || rule.category) : label;
 
-    const store = loadStore();
-    const rec   = store.users[userId];
-    const live  = enumerateDmUsers().find((x) => x.id === userId);
+    const back = !vac && u.presence === PRES.OFF ? predictReturn(buildProfile(store, rec)) : '';
+    const note = vac
+      ? html`<div class="gmAU_note">${absenceText(rule, rec, u)}</div>`
+      : back && html`<div class="gmAU_note">likely back around ${back}</div>`;
 
-    const name   = rec?.name   || live?.name   || 'Unknown';
-    const avatar = rec?.avatar || live?.avatar || '';
-    const status = live?.presence || rec?.lastStatus || PRES.OFF;
-    const last   = (status === PRES.ACTIVE) ? Date.now() : (rec?.lastSeenActive || null);
+    row.className = `gmAU_item${selectedIds.has(u.id) ? ' selected' : ''}`;
+    row.dataset.key = `${section}:${u.id}`;
+    row.dataset.uid = u.id;
+    row.setAttribute('role', 'listitem');
+    const watched = !!prefs.watch[u.id];
+    patchHtml(row, html`
+      <button class="gmAU_star${watched ? ' on' : ''}" data-star="${u.id}" aria-pressed="${watched}"
+        title="${watched ? 'Stop watching' : 'Watch: alert when this user comes online, leaves DND or goes on vacation'}">${watched ? '★' : '☆'}</button>
+      <img class="gmAU_avatar" src="${safeImgUrl(u.avatar)}" alt="">
+      <div class="gmAU_name" title="${u.name}">
+        <span class="gmAU_name_text">${u.name}</span>
+        ${note}
+      </div>
+      ${renderMiniBars(rec, store)}
+      <span class="gmAU_status ${key}" title="${title}">${label}</span>
+    `);
+    return row;
+  };
 
-    // Build 10×24 grid: row 0 = today (UTC), row 9 = 10th day back
-    const rows = [];
-    for (let day = 0; day < prefs.horizonDays; day++) {
-      const start = utcStartOfDayMinus(day);
-      const row = [];
-      for (let h = 0; h < 24; h++) {
-        const key = new Date(start.getTime() + h * 3_600_000).toISOString();
-        const hr  = rec?.hourly?.[key];
-        let cls = 'i';
-        if (hr) {
-          if ((hr.a | 0) >= prefs.activeThresholdMin) cls = 'a';
-          else if ((hr.d | 0) >= prefs.activeThresholdMin) cls = 'd';
-          else if ((hr.w | 0) >= prefs.activeThresholdMin) cls = 'w';
-        }
-        row.push({ key, cls });
-      }
-      rows.push(row);
-    }
+  // ──────────────────────────────────────────────────────────────────────────────
+  // Overlay layout (drag, resize, collapse, toggle shortcut)
+  // ──────────────────────────────────────────────────────────────────────────────
 
-    const statusText = STATUS_LABEL[status] || status;
-    const hourLabels = ['00', '', '06', '', '12', '', '18', '', '23'];
-    const dayLabels  = Array.from({ length: prefs.horizonDays }, (_, i) =>
-      utcStartOfDayMinus(i).toLocaleDateString('en-US', { weekday: 'short', month: '2-digit', day: '2-digit' })
-    );
-    const vacText  = (rec?.customStatusText || live?.customStatusText || '').trim();
-    const vacBadge = (isVacation(rec || live)) ? ` • 🌴${vacText ? ' – ' + vacText : ''}` : '';
+  /** Smallest overlay size and the gap kept to the viewport edges (px). */
+  const OVERLAY_MIN = { width: 320, height: 180 };
+  const OVERLAY_PAD = 8;
+  /** Pointer travel (px) before a press on the pill counts as a drag instead of a click. */
+  const DRAG_SLOP = 4;
 
-    tt.innerHTML = `
-      <div class="gmTT_header">
-        <img class="gmTT_avatar" src="${avatar}" alt="">
-        <div>
-          <div class="gmTT_name">${name}</div>
-          <div class="gmTT_meta">last seen: ${fmtSince(last)}${vacBadge}</div>
+  const clamp = (v, lo, hi) => Math.min(Math.max(v, lo), Math.max(lo, hi));
+
+  /** Apply collapsed state and the saved rect, clamped to the current viewport (the saved rect is kept). */
+  const applyLayout = () => {
+    const wrap = $('#gmAU_Overlay');
+    if (!wrap) return;
+    wrap.classList.toggle('gm--collapsed', !!prefs.overlayCollapsed);
+    $('#gmAU_btnCollapse').setAttribute('aria-expanded', String(!prefs.overlayCollapsed));
+    $('#gmAU_btnClose').title = prefs.toggleHotkey ? `Close overlay (${prefs.toggleHotkey} brings it back)` : 'Close overlay';
+
+    const r = prefs.overlayRect;
+    wrap.classList.toggle('gm--placed', !!r);
+    if (!r) {
+      Object.assign(wrap.style, { left: '', top: '', width: '', height: '' });
+      return;
+    }
+    wrap.style.width  = `${clamp(r.width, OVERLAY_MIN.width, innerWidth - 2 * OVERLAY_PAD)}px`;
+    wrap.style.height = r.height ? `${clamp(r.height, OVERLAY_MIN.height, innerHeight - 2 * OVERLAY_PAD)}px` : '';
+    const shown = wrap.getBoundingClientRect();   // the pill when collapsed
+    wrap.style.left = `${clamp(r.left, OVERLAY_PAD, innerWidth - shown.width - OVERLAY_PAD)}px`;
+    wrap.style.top  = `${clamp(r.top, OVERLAY_PAD, innerHeight - shown.height - OVERLAY_PAD)}px`;
+  };
+
+  const setCollapsed = (collapsed) => {
+    prefs.overlayCollapsed = collapsed;
+    commitPrefs(['overlayCollapsed']);
+  };
+
+  /**
+   * Follow the pointer from a press on `handle`: `onMove(dx, dy, start)` gets the offset and the
+   * overlay rect at press time; `onEnd(moved)` tells whether it went past the drag slop.
+   */
+  const trackPointer = (handle, onMove, onEnd) => {
+    handle.addEventListener('pointerdown', (e) => {
+      if (e.button !== 0 || (handle.id === 'gmAU_Header' && e.target.closest('button, input, select'))) return;
+      const start = $('#gmAU_Overlay').getBoundingClientRect();
+      const x0 = e.clientX;
+      const y0 = e.clientY;
+      let moved = false;
+      handle.setPointerCapture?.(e.pointerId);
+      const move = (ev) => {
+        const dx = ev.clientX - x0;
+        const dy = ev.clientY - y0;
+        if (!moved && Math.hypot(dx, dy) < DRAG_SLOP) return;
+        moved = true;
+        onMove(dx, dy, start);
+        applyLayout();
+      };
+      const up = () => {
+        handle.removeEventListener('pointermove', move);
+        handle.removeEventListener('pointerup', up);
+        handle.removeEventListener('pointercancel', up);
+        if (moved) commitPrefs(['overlayRect']);
+        onEnd?.(moved);
+      };
+      handle.addEventListener('pointermove', move);
+      handle.addEventListener('pointerup', up);
+      handle.addEventListener('pointercancel', up);
+      e.preventDefault();
+    });
+  };
+
+  /** `Ctrl+Alt+Shift+Meta+<key>` → `{ ctrl, alt, shift, meta, key }`; null without a modifier or key. */
+  const parseHotkey = (text) => {
+    const parts = String(text || '').split('+').map((p) => p.trim()).filter(Boolean);
+    const key  = parts.pop();
+    const mods = parts.map((p) => p.toLowerCase());
+    if (!key || !mods.length || mods.some((m) => !['ctrl', 'alt', 'shift', 'meta'].includes(m))) return null;
+    return { key: key.toUpperCase(), ctrl: mods.includes('ctrl'), alt: mods.includes('alt'), shift: mods.includes('shift'), meta: mods.includes('meta') };
+  };
+
+  /** Key events compare by physical key too, since Alt/Shift change `e.key` on many layouts. */
+  const matchesHotkey = (e, hk) =>
+    e.ctrlKey === hk.ctrl && e.altKey === hk.alt && e.shiftKey === hk.shift && e.metaKey === hk.meta &&
+    (e.key.toUpperCase() === hk.key || e.code.replace(/^(Key|Digit)/, '').toUpperCase() === hk.key);
+
+  /** Wire up dragging (header and pill), resizing, the pill, the shortcut and viewport clamping. */
+  const initLayout = () => {
+    const wrap = $('#gmAU_Overlay');
+    const moveTo = (dx, dy, start) => {
+      prefs.overlayRect = { ...(prefs.overlayRect || { width: start.width, height: null }), left: start.left + dx, top: start.top + dy };
+    };
+    trackPointer($('#gmAU_Header'), moveTo);
+    trackPointer($('#gmAU_Pill'), moveTo, (moved) => { if (!moved) setCollapsed(false); });
+    trackPointer($('#gmAU_Resize'), (dx, dy, start) => {
+      prefs.overlayRect = { left: start.left, top: start.top, width: start.width + dx, height: start.height + dy };
+    });
+
+    document.addEventListener('keydown', (e) => {
+      const hk = parseHotkey(prefs.toggleHotkey);
+      if (!hk || !matchesHotkey(e, hk)) return;
+      e.preventDefault();
+      wrap.classList.toggle('gm--hidden');
+      if (!wrap.classList.contains('gm--hidden')) applyLayout();
+    }, { capture: true });
+
+    let frame = 0;
+    addEventListener('resize', () => {
+      cancelAnimationFrame(frame);
+      frame = requestAnimationFrame(applyLayout);
+    });
+    applyLayout();
+  };
+
+  // ──────────────────────────────────────────────────────────────────────────────
+  // Groups
+  // ──────────────────────────────────────────────────────────────────────────────
+
+  /** Group names are keys of plain objects, so built-in names (`constructor`, `__proto__`, …) are refused. */
+  const reservedGroupName = unsafeKey;
+  const refuseGroupNames = (names) => alert(`Not usable as a group name: ${names.join(', ')}`);
+
+  /** Ask for a user's groups (comma-separated); unknown names create groups, empty groups disappear. */
+  const assignGroups = (userId, name) => {
+    const current = Object.keys(prefs.groups).filter((g) => prefs.groups[g].includes(userId));
+    const answer  = prompt(`Groups for ${name} (comma-separated, empty for none):`, current.join(', '));
+    if (answer === null) return;
+    const wanted = new Set(answer.split(',').map((g) => g.trim()).filter(Boolean));
+    const refused = [...wanted].filter(reservedGroupName);
+    if (refused.length) { refuseGroupNames(refused); return; }
+    for (const g of Object.keys(prefs.groups)) {
+      prefs.groups[g] = prefs.groups[g].filter((id) => id !== userId);
+      if (!prefs.groups[g].length && !wanted.has(g)) { delete prefs.groups[g]; delete prefs.collapsedGroups[g]; }
+    }
+    for (const g of wanted) (prefs.groups[g] = prefs.groups[g] || []).push(userId);
+    commitPrefs(['groups']);
+  };
+
+  const renameGroup = (from) => {
+    const to = (prompt(`Rename group “${from}” to:`, from) || '').trim();
+    if (!to || to === from) return;
+    if (reservedGroupName(to)) { refuseGroupNames([to]); return; }
+    prefs.groups[to] = [...new Set([...(prefs.groups[to] || []), ...prefs.groups[from]])];
+    delete prefs.groups[from];
+    if (prefs.collapsedGroups[from]) prefs.collapsedGroups[to] = true;
+    delete prefs.collapsedGroups[from];
+    commitPrefs(['groups']);
+  };
+
+  const deleteGroup = (name) => {
+    if (!confirm(`Delete group “${name}”? Its members stay in the list.`)) return;
+    delete prefs.groups[name];
+    delete prefs.collapsedGroups[name];
+    commitPrefs(['groups']);
+  };
+
+  const toggleGroupCollapsed = (name) => {
+    if (prefs.collapsedGroups[name]) delete prefs.collapsedGroups[name];
+    else prefs.collapsedGroups[name] = true;
+    commitPrefs(['collapsedGroups']);
+  };
+
+  // ──────────────────────────────────────────────────────────────────────────────
+  // Settings view
+  // ──────────────────────────────────────────────────────────────────────────────
+
+  /** Parse and validate a settings input; returns `{ value }` or `{ error }`. */
+  const parseField = (field, raw) => {
+    if (field.type === 'select') {
+      return field.options.includes(raw) ? { value: raw } : { error: 'Unknown option' };
+    }
+    if (field.type === 'text') {
+      const error = field.validate ? field.validate(raw) : null;
+      return error ? { error } : { value: raw };
+    }
+    const n = Number(raw);
+    if (raw === '' || !Number.isInteger(n) || n < field.min || n > field.max) {
+      return { error: `Enter a whole number from ${field.min} to ${field.max}` };
+    }
+    return { value: n * (field.scale || 1) };
+  };
+
+  /** Apply changed prefs right away: reschedule, re-prune, re-render. */
+  const applyPrefs = (keys) => {
+    if (keys.includes('scanIntervalMs')) scheduleScanner();
+    if (['horizonDays', 'maxRetentionDays'].some((k) => keys.includes(k)) && Leader.check()) {
+      const store = loadStore(liveTeam);
+      pruneOld(store);
+      saveStore(store, liveTeam);
+      if (keys.includes('maxRetentionDays')) pruneIdleWorkspaces(true);
+    }
+    if (keys.some((k) => k.startsWith('push'))) { pushState.retryAt = 0; pushState.failures = 0; renderPushLog(); }
+    syncFilterButtons();
+    applyLayout();
+    tooltipCache.clear();
+    hideTooltip();
+    renderPin();
+    renderOverlay();
+  };
+
+  /** Persist changed prefs, apply them here and in the other tabs of this workspace. */
+  const commitPrefs = (keys) => {
+    savePrefs();
+    applyPrefs(keys);
+    broadcast('prefs', { team: liveTeam, keys });
+  };
+
+  const renderSettings = () => {
+    const box = $('#gmAU_Settings');
+    box.innerHTML = html`
+      ${PREF_FIELDS.map((f) => {
+        const value = f.type === 'number' ? prefs[f.key] / (f.scale || 1) : prefs[f.key];
+        const input = f.type === 'select'
+          ? html`<select id="gmAU_pref_${f.key}" data-key="${f.key}">
+               ${f.options.map((o) => html`<option value="${o}"${o === value ? ' selected' : ''}>${o}</option>`)}
+             </select>`
+          : f.type === 'text'
+            ? html`<input id="gmAU_pref_${f.key}" data-key="${f.key}" type="${f.secret ? 'password' : 'text'}" placeholder="${f.placeholder || ''}" value="${value}" autocomplete="off">`
+            : html`<input id="gmAU_pref_${f.key}" data-key="${f.key}" type="number" min="${f.min}" max="${f.max}" step="1" value="${value}">`;
+        return html`
+          <div class="gmAU_field">
+            <label for="gmAU_pref_${f.key}">${f.label}</label>
+            ${input}
+            <span class="gmAU_unit">${f.unit || ''}</span>
+            <span class="gmAU_error" data-error="${f.key}" hidden></span>
+          </div>`;
+      })}
+      ${renderWatchSettings()}
+      ${renderGroupSettings()}
+      ${renderNoTrackSettings()}
+      <div class="gmAU_section">Push send log</div>
+      <div id="gmAU_PushLog"></div>
+      <div class="gmAU_section">Absence rules</div>
+      <div class="gmAU_hint">First match wins: emoji names, emoji codes (from the image URL) or a text regex.</div>
+      <textarea id="gmAU_AbsenceRules" class="gmAU_code" rows="8" spellcheck="false">${JSON.stringify(absenceRules(), null, 2)}</textarea>
+      <span class="gmAU_error" data-error="absenceRules" hidden></span>
+      <div class="gmAU_actions">
+        <button class="gmAU_action" data-action="rules-default">Default rules</button>
+        <button class="gmAU_action" data-action="rules-apply">Apply rules</button>
+      </div>
+      <div class="gmAU_actions">
+        <button class="gmAU_action" data-action="layout-reset">Reset overlay position</button>
+        <button class="gmAU_action" data-action="reset">Reset to defaults</button>
+        <button class="gmAU_action" data-action="close">Done</button>
+      </div>
+    `;
+
+    $$('[data-key]', box).forEach((el) => el.addEventListener('change', () => {
+      const field = PREF_FIELDS.find((f) => f.key === el.dataset.key);
+      const { value, error } = parseField(field, el.value.trim());
+      const errEl = $(`[data-error="${field.key}"]`, box);
+      el.classList.toggle('invalid', !!error);
+      errEl.hidden = !error;
+      errEl.textContent = error || '';
+      if (error || value === prefs[field.key]) return;
+      prefs[field.key] = value;
+      if (field.storageKey) Storage.set(field.storageKey, value);
+      commitPrefs([field.key]);
+    }));
+    $$('[data-watch]', box).forEach((el) => el.addEventListener('change', () => {
+      const rules = prefs.watch[el.dataset.watch];
+      if (!rules) return;
+      rules[el.dataset.rule] = el.checked;
+      commitPrefs(['watch']);
+    }));
+    $$('[data-unwatch]', box).forEach((el) => el.addEventListener('click', () => {
+      delete prefs.watch[el.dataset.unwatch];
+      commitPrefs(['watch']);
+      renderSettings();
+    }));
+    renderPushLog();
+    $('#gmAU_PushLog', box).addEventListener('click', (e) => {
+      const action = e.target.closest('[data-action]')?.dataset.action;
+      // Another tab may hold the lease; ask it to send rather than posting the same batch from here.
+      if (action === 'push-now') { if (Leader.check()) flushPush(true); else broadcast('push', { team: liveTeam }); }
+      if (action === 'push-clear' && confirm('Discard the events that were not sent yet?')) { savePushQueue([]); renderPushLog(); }
+    });
+    $$('[data-track]', box).forEach((el) => el.addEventListener('click', () => {
+      resumeTracking(el.dataset.track);
+      renderSettings();
+    }));
+    $$('[data-rename-group]', box).forEach((el) => el.addEventListener('click', () => {
+      renameGroup(el.dataset.renameGroup);
+      renderSettings();
+    }));
+    $$('[data-delete-group]', box).forEach((el) => el.addEventListener('click', () => {
+      deleteGroup(el.dataset.deleteGroup);
+      renderSettings();
+    }));
+    $('[data-action="rules-apply"]', box).addEventListener('click', () => {
+      const errEl = $('[data-error="absenceRules"]', box);
+      let rules;
+      let error;
+      try { rules = JSON.parse($('#gmAU_AbsenceRules', box).value); } catch (err) { error = `Invalid JSON (${err.message})`; }
+      error = error || validateAbsenceRules(rules);
+      errEl.hidden = !error;
+      errEl.textContent = error || '';
+      if (error) return;
+      prefs.absenceRules = rules;
+      commitPrefs(['absenceRules']);
+    });
+    $('[data-action="rules-default"]', box).addEventListener('click', () => {
+      prefs.absenceRules = null;
+      commitPrefs(['absenceRules']);
+      renderSettings();
+    });
+    $('[data-action="layout-reset"]', box).addEventListener('click', () => {
+      prefs.overlayRect = null;
+      commitPrefs(['overlayRect']);
+    });
+    $('[data-action="reset"]', box).addEventListener('click', () => {
+      if (!confirm('Reset all settings to their defaults?')) return;
+      const fields = PREF_FIELDS.filter((f) => !f.storageKey);
+      for (const f of fields) prefs[f.key] = DEFAULT_PREFS[f.key];
+      commitPrefs(fields.map((f) => f.key));
+      renderSettings();
+    });
+    $('[data-action="close"]', box).addEventListener('click', () => toggleSettings(false));
+  };
+
+  /** Per-user alert rules of the watchlist (users are starred in the list). */
+  const renderWatchSettings = () => {
+    const ids = Object.keys(prefs.watch);
+    const users = loadStore(liveTeam).users;
+    const rows = ids
+      .map((id) => ({ id, name: users[id]?.name || id, rules: prefs.watch[id] }))
+      .sort((a, b) => a.name.localeCompare(b.name))
+      .map((w) => html`
+        <div class="gmAU_watch">
+          <span>${w.name}</span>
+          <span>${Object.entries(ALERT_RULES).map(([rule, r]) => html`
+            <label title="Alert when ${w.name} ${r.text}">
+              <input type="checkbox" data-watch="${w.id}" data-rule="${rule}"${w.rules[rule] ? ' checked' : ''}> ${r.short}
+            </label>`)}
+          </span>
+          <button class="gmAU_btn" data-unwatch="${w.id}" title="Stop watching" aria-label="Stop watching ${w.name}">✕</button>
+        </div>`);
+    return html`
+      <div class="gmAU_section">Watchlist</div>
+      ${rows.length ? rows : html`<div class="gmAU_hint">Star (☆) users in the list to get alerts when they come online, leave DND or go on vacation.</div>`}
+    `;
+  };
+
+  /** Group list with rename/delete (members are assigned by right-clicking users in the list). */
+  const renderGroupSettings = () => {
+    const rows = Object.keys(prefs.groups)
+      .sort((a, b) => a.localeCompare(b))
+      .map((g) => html`
+        <div class="gmAU_watch">
+          <span>${g}</span>
+          <span class="gmAU_hint">${prefs.groups[g].length} member(s)</span>
+          <span>
+            <button class="gmAU_btn" data-rename-group="${g}" title="Rename group" aria-label="Rename group ${g}">✎</button>
+            <button class="gmAU_btn" data-delete-group="${g}" title="Delete group" aria-label="Delete group ${g}">✕</button>
+          </span>
+        </div>`);
+    return html`
+      <div class="gmAU_section">Groups</div>
+      ${rows}
+      <div class="gmAU_hint">Right-click a user in the list to assign groups; a new name creates the group.</div>
+    `;
+  };
+
+  /** Users excluded from recording in the shown workspace; names appear only while Slack shows them. */
+  const renderNoTrackSettings = () => {
+    const live = new Map(viewTeam === liveTeam ? enumerateUsers().map((u) => [u.id, u.name]) : []);
+    const rows = [...notTracked(viewTeam)].sort().map((id) => {
+      const name = live.get(id) || id;
+      return html`
+        <div class="gmAU_watch">
+          <span>${name}</span>
+          <span class="gmAU_hint">${name !== id && id}</span>
+          <button class="gmAU_btn" data-track="${id}" title="Track again" aria-label="Track ${name} again">✕</button>
+        </div>`;
+    });
+    return html`
+      <div class="gmAU_section">Not tracked</div>
+      ${rows.length ? rows : html`<div class="gmAU_hint">Click a user in the list, open their calendar (📅) and choose “Don't track” to stop recording them and delete their history.</div>`}
+    `;
+  };
+
+  /** Switch the overlay body between the user list (null) and a panel view. */
+  const setView = (view) => {
+    const wrap = $('#gmAU_Overlay');
+    if (view) wrap.dataset.view = view;
+    else delete wrap.dataset.view;
+    $('#gmAU_btnSettings').setAttribute('aria-expanded', String(view === 'settings'));
+  };
+
+  /** Show or hide the settings view in place of the user list. */
+  const toggleSettings = (open) => {
+    const show = open ?? $('#gmAU_Overlay').dataset.view !== 'settings';
+    if (show) renderSettings();
+    setView(show ? 'settings' : null);
+  };
+
+  // ──────────────────────────────────────────────────────────────────────────────
+  // Best time to meet (overlap of selected users)
+  // ──────────────────────────────────────────────────────────────────────────────
+
+  /** Multi-select mode of the list and the selected user ids. */
+  let selecting = false;
+  const selectedIds = new Set();
+
+  const WEEKDAYS = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'];
+  const OVERLAP_TOP = 5;
+
+  // ──────────────────────────────────────────────────────────────────────────────
+  // Monthly calendar (daily summaries beyond the hourly horizon)
+  // ──────────────────────────────────────────────────────────────────────────────
+
+  /** Active time that gets the darkest calendar shade (g4); g1…g3 split the range below it. */
+  const CALENDAR_FULL_DAY_MIN = 6 * 60;
+  /** Months listed in the comparison table below the calendar. */
+  const CALENDAR_MONTHS = 6;
+
+  let calendarState = { userId: null, month: null };
+
+  /** 'YYYY-MM' shifted by `n` months. */
+  const shiftMonth = (month, n) => {
+    const [y, m] = month.split('-').map(Number);
+    return new Date(Date.UTC(y, m - 1 + n, 1)).toISOString().slice(0, 7);
+  };
+
+  /**
+   * Observed days between two day keys (inclusive) with average active minutes, first/last active
+   * time (display-zone minute of day) and the active share of observed time.
+   */
+  const rangeStats = (daily, from, to) => {
+    const sums = Object.entries(daily).filter(([day, sum]) => day >= from && day <= to && sum.obs).map(([, sum]) => sum);
+    const avg = (xs) => (xs.length ? Math.round(xs.reduce((a, b) => a + b, 0) / xs.length) : null);
+    const total = (f) => sums.reduce((n, sum) => n + sum[f], 0);
+    const minuteOfDay = (ts) => { const p = zonedParts(ts); return p.hour * 60 + p.minute; };
+    return {
+      days: sums.length,
+      active: avg(sums.map((sum) => sum.a)),
+      first: avg(sums.filter((sum) => sum.first).map((sum) => minuteOfDay(sum.first))),
+      last: avg(sums.filter((sum) => sum.last).map((sum) => minuteOfDay(sum.last))),
+      share: total('obs') ? total('a') / total('obs') : null
+    };
+  };
+
+  /** Month grid (Mon-first, display-zone days like the summaries) for a user plus a per-month comparison. */
+  const showCalendar = (userId, month = null) => {
+    const store = loadStore();
+    const rec   = store.users[userId];
+    const today = zonedParts(Date.now()).dayKey;
+    month = month || today.slice(0, 7);
+    calendarState = { userId, month };
+
+    const daily = dailySummaries(rec);
+    const [y, m] = month.split('-').map(Number);
+    const lead  = (new Date(Date.UTC(y, m - 1, 1)).getUTCDay() + 6) % 7;
+    const count = new Date(Date.UTC(y, m, 0)).getUTCDate();
+    const days  = Array.from({ length: count }, (_, i) => {
+      const key = `${month}-${String(i + 1).padStart(2, '0')}`;
+      const sum = daily[key];
+      if (key > today) return html`<div class="gmAU_cal_day future">${i + 1}</div>`;
+      if (!sum?.obs) return html`<div class="gmAU_cal_day n" title="${fmtDayKey(key)} • not observed">${i + 1}</div>`;
+      const level = sum.a ? Math.min(4, Math.ceil(sum.a / CALENDAR_FULL_DAY_MIN * 4)) : 0;
+      const span  = sum.first ? ` • ${fmtClock(sum.first)}–${fmtClock(sum.last)}` : '';
+      const title = `${fmtDayKey(key)} • active ${fmtDuration(sum.a * 60_000)}, away ${fmtDuration(sum.w * 60_000)}, ` +
+        `DND ${fmtDuration(sum.d * 60_000)} of ${fmtDuration(sum.obs * 60_000)} observed${span}`;
+      return html`<div class="gmAU_cal_day ${level ? `g${level}` : 'i'}" title="${title}">${i + 1}</div>`;
+    });
+    const months = Array.from({ length: CALENDAR_MONTHS }, (_, i) => shiftMonth(month, -i)).map((mo) => {
+      const st = rangeStats(daily, `${mo}-01`, `${mo}-31`);
+      return html`
+        <tr><td>${mo}</td><td>${st.days}</td>
+          <td>${st.active == null ? '–' : fmtDuration(st.active * 60_000)}</td>
+          <td>${st.first == null ? '–' : fmtMinutes(st.first)}</td><td>${st.last == null ? '–' : fmtMinutes(st.last)}</td></tr>`;
+    });
+
+    $('#gmAU_Calendar').innerHTML = html`
+      <div class="gmAU_section">${rec?.name || userId} – ${new Date(Date.UTC(y, m - 1, 1)).toLocaleDateString('en-US', { timeZone: 'UTC', month: 'long', year: 'numeric' })}</div>
+      <div class="gmAU_actions">
+        <button class="gmAU_action" data-month="-1">‹ Previous</button>
+        <button class="gmAU_action" data-month="1"${month >= today.slice(0, 7) ? ' disabled' : ''}>Next ›</button>
+      </div>
+      <div class="gmAU_cal">
+        ${WEEKDAYS.map((wd) => html`<span class="gmAU_hint">${wd}</span>`)}
+        ${Array.from({ length: lead }, () => html`<div></div>`)}
+        ${days}
+      </div>
+      <div class="gmAU_section">Monthly averages (observed days)</div>
+      <table class="gmAU_table">
+        <tr><th>Month</th><th>Days</th><th>Active</th><th>First active</th><th>Last active</th></tr>
+        ${months}
+      </table>
+      <div class="gmAU_hint">Older days are kept as daily summaries for ${prefs.rollupDays} days; times in ${prefs.displayTimeZone === 'local' ? 'local time' : prefs.displayTimeZone}.</div>
+      <div class="gmAU_actions">
+        <button class="gmAU_action" data-action="back">Back to list</button>
+        <button class="gmAU_action" data-action="untrack" title="Stop recording this user and delete their history">Don't track</button>
+      </div>
+    `;
+    hideTooltip();
+    setView('calendar');
+  };
+
+  // ──────────────────────────────────────────────────────────────────────────────
+  // Team report (full-page panel, printable, exportable as HTML)
+  // ──────────────────────────────────────────────────────────────────────────────
+
+  /** Sortable report columns: label and the value a row is sorted by. */
+  const REPORT_COLUMNS = [
+    { key: 'name',   label: 'Name',            value: (r) => r.name.toLowerCase() },
+    { key: 'days',   label: 'Days observed',   value: (r) => r.days },
+    { key: 'active', label: 'Active per day',  value: (r) => r.active ?? -1 },
+    { key: 'first',  label: 'First active',    value: (r) => r.first ?? Infinity },
+    { key: 'last',   label: 'Last active',     value: (r) => r.last ?? -1 },
+    { key: 'share',  label: 'Active share',    value: (r) => r.share ?? -1 }
+  ];
+
+  const reportState = { from: null, to: null, sort: 'name', dir: 1 };
+
+  /** Report rows for users observed in the range, sorted by the chosen column. */
+  const reportRows = (store, from, to) => {
+    const col = REPORT_COLUMNS.find((c) => c.key === reportState.sort) || REPORT_COLUMNS[0];
+    return Object.values(store.users)
+      .map((rec) => ({ rec, name: rec.name || rec.id, ...rangeStats(dailySummaries(rec), from, to) }))
+      .filter((r) => r.days)
+      .sort((a, b) => {
+        const va = col.value(a);
+        const vb = col.value(b);
+        return (va < vb ? -1 : va > vb ? 1 : 0) * reportState.dir || a.name.localeCompare(b.name);
+      });
+  };
+
+  /** Report body (table and heatmaps) without the toolbar; also used for the HTML export. */
+  const renderReportBody = (store, from, to) => {
+    const rows = reportRows(store, from, to);
+    const heatDays = zonedDayRows(prefs.horizonDays).filter((row) => row.dayKey >= from && row.dayKey <= to).length;
+    const arrow = (key) => (reportState.sort === key ? (reportState.dir > 0 ? ' ▲' : ' ▼') : '');
+    return html`
+      <table class="gmAU_table gmAU_report_table">
+        <tr>${REPORT_COLUMNS.map((c) => html`<th data-sort="${c.key}">${c.label}${arrow(c.key)}</th>`)}</tr>
+        ${rows.map((r) => html`
+          <tr><td>${r.name}</td><td>${r.days}</td>
+            <td>${r.active == null ? '–' : fmtDuration(r.active * 60_000)}</td>
+            <td>${r.first == null ? '–' : fmtMinutes(r.first)}</td>
+            <td>${r.last == null ? '–' : fmtMinutes(r.last)}</td>
+            <td>${r.share == null ? '–' : `${Math.round(r.share * 100)}%`}</td></tr>`)}
+      </table>
+      ${rows.length ? '' : html`<div class="gmAU_hint">Nobody was observed in this range.</div>`}
+
+      <div class="gmAU_section">Heatmaps (hourly detail for the last ${prefs.horizonDays} days)</div>
+      ${heatDays ? rows.map((r) => {
+        const heat = buildHeatRows(store, r.rec, prefs.horizonDays).filter((row) => row.dayKey >= from && row.dayKey <= to);
+        return html`<div class="gmAU_report_heat"><div class="gmTT_name">${r.name}</div>${renderHeatGrid(heat)}</div>`;
+      }) : html`<div class="gmAU_hint">The range lies before the hourly history; see the table for daily summaries.</div>`}
+    `;
+  };
+
+  /** Open (or refresh) the full-page report of the workspace shown in the overlay. */
+  const showReport = () => {
+    const store = loadStore();
+    const today = zonedParts(Date.now()).dayKey;
+    const oldest = Object.values(store.users)
+      .flatMap((rec) => [...Object.keys(rec.daily || {}), ...Object.keys(rec.hourly || {}).map((k) => k.slice(0, 10))])
+      .sort()[0] || today;
+    reportState.to   = reportState.to || today;
+    reportState.from = reportState.from || shiftDayKey(today, -(prefs.horizonDays - 1));
+
+    let panel = $('#gmAU_Report');
+    if (!panel) {
+      panel = document.createElement('div');
+      panel.id = 'gmAU_Report';
+      panel.setAttribute('role', 'dialog');
+      panel.setAttribute('aria-label', 'Team activity report');
+      panel.tabIndex = -1;
+      document.body.appendChild(panel);
+      panel.focus();
+      panel.addEventListener('click', (e) => {
+        const th = e.target.closest('[data-sort]');
+        if (th) {
+          reportState.dir = reportState.sort === th.dataset.sort ? -reportState.dir : 1;
+          reportState.sort = th.dataset.sort;
+          showReport();
+          return;
+        }
+        const action = e.target.closest('[data-report]')?.dataset.report;
+        if (action === 'print') print();
+        if (action === 'export') exportReport();
+        if (action === 'close') panel.remove();
+      });
+      panel.addEventListener('change', (e) => {
+        const field = e.target.dataset.range;
+        if (!field || !e.target.value) return;
+        reportState[field] = e.target.value;
+        if (reportState.from > reportState.to) [reportState.from, reportState.to] = [reportState.to, reportState.from];
+        showReport();
+      });
+      panel.addEventListener('keydown', (e) => { if (e.key === 'Escape') panel.remove(); });
+    }
+    panel.innerHTML = html`
+      <div class="gmAU_report_bar">
+        <b>Team activity – ${workspaceName(viewTeam)}</b>
+        <label>From <input type="date" data-range="from" value="${reportState.from}" min="${oldest}" max="${today}"></label>
+        <label>to <input type="date" data-range="to" value="${reportState.to}" min="${oldest}" max="${today}"></label>
+        <span class="gmAU_hint">times in ${prefs.displayTimeZone === 'local' ? 'local time' : prefs.displayTimeZone}</span>
+        <span class="gmAU_report_spacer"></span>
+        <button class="gmAU_action" data-report="print">Print</button>
+        <button class="gmAU_action" data-report="export">Export HTML</button>
+        <button class="gmAU_btn" data-report="close" title="Close report" aria-label="Close report">✕</button>
+      </div>
+      <div class="gmAU_report_body">${renderReportBody(store, reportState.from, reportState.to)}</div>
+    `;
+    hideTooltip();
+  };
+
+  /** Download the current report as one HTML file with the styles inlined. */
+  const exportReport = () => {
+    const { from, to } = reportState;
+    const title = `Team activity – ${workspaceName(viewTeam)}`;
+    const body = html`<div id="gmAU_Report" class="static">
+  <div class="gmAU_report_bar"><b>${title}</b>
+    <span class="gmAU_hint">${from} to ${to} • exported ${new Date().toLocaleString('en-US')}</span></div>
+  <div class="gmAU_report_body">${renderReportBody(loadStore(), from, to)}</div>
+</div>`;
+    // The stylesheet is our own constant and must stay unescaped inside <style>.
+    const doc = `<!doctype html>
+<html lang="en"><head><meta charset="utf-8">
+<title>${escapeHtml(`${title} – ${from} to ${to}`)}</title>
+<style>${CSS}</style></head>
+<body class="gmAU_report_doc">${body}</body></html>`;
+    downloadFile(`slack-presence-report-${viewTeam ? `${viewTeam}-` : ''}${from}_${to}.html`, doc, 'text/html');
+  };
+
+  // ──────────────────────────────────────────────────────────────────────────────
+  // Working-hours profile ("usually online …", "likely back around …")
+  // ──────────────────────────────────────────────────────────────────────────────
+
+  /** Profiles need this many observed days; an hour counts as "usual" from this active probability. */
+  const PROFILE_MIN_DAYS = 3;
+  const PROFILE_USUAL_P  = 0.5;
+
+  /**
+   * Weekday×hour activity probability of a record over the stored horizon (display zone).
+   * `frac` is the mean active share of samples within active hours, used to estimate minutes.
+   * Returns null while fewer than PROFILE_MIN_DAYS days were observed.
+   */
+  const profileCache = derivedCache();
+  const buildProfile = (store, rec) => {
+    if (!rec) return null;
+    let byRec = profileCache.get(store);
+    if (!byRec) profileCache.set(store, byRec = new Map());
+    if (byRec.has(rec.id)) return byRec.get(rec.id);
+
+    const slots = Array.from({ length: 7 * 24 }, () => ({ seen: 0, act: 0, frac: 0 }));
+    let days = 0;
+    for (const row of zonedDayRows(prefs.horizonDays)) {
+      const wd = weekdayOf(row.dayKey);
+      let observed = false;
+      row.hours.forEach((keys, h) => {
+        if (!keys.length || !hourCoverage(store, keys, rec)) return;
+        observed = true;
+        const slot = slots[wd * 24 + h];
+        const hr = bucketOver(rec, keys);
+        slot.seen++;
+        if (bucketClass(hr) === 'a') { slot.act++; slot.frac += hr.t ? hr.a / hr.t : 1; }
+      });
+      if (observed) days++;
+    }
+    const profile = days < PROFILE_MIN_DAYS ? null : slots.map((sl) => ({
+      seen: sl.seen,
+      p: sl.seen ? sl.act / sl.seen : 0,
+      frac: sl.act ? sl.frac / sl.act : 0
+    }));
+    byRec.set(rec.id, profile);
+    return profile;
+  };
+
+  /** Usual start/end (minutes after midnight) of one weekday, or null when it has no usual hours. */
+  const usualSpan = (profile, wd) => {
+    const hours = [];
+    for (let h = 0; h < 24; h++) if (profile[wd * 24 + h].p >= PROFILE_USUAL_P) hours.push(h);
+    if (!hours.length) return null;
+    const first = profile[wd * 24 + hours[0]];
+    const last  = profile[wd * 24 + hours[hours.length - 1]];
+    // A partly active first/last hour means the day started late in it / ended early in it.
+    return {
+      start: hours[0] * 60 + Math.round((1 - first.frac) * 4) * 15,
+      end: hours[hours.length - 1] * 60 + Math.round(last.frac * 4) * 15
+    };
+  };
+
+  const fmtMinutes = (m) => `${String(Math.floor(m / 60) % 24).padStart(2, '0')}:${String(m % 60).padStart(2, '0')}`;
+
+  /** "Mon–Fri", "Mon–Wed, Fri" for Monday-first weekday indices. */
+  const fmtWeekdays = (wds) => {
+    const runs = [];
+    for (const wd of wds) {
+      const run = runs[runs.length - 1];
+      if (run && run[1] === wd - 1) run[1] = wd;
+      else runs.push([wd, wd]);
+    }
+    return runs.map(([a, b]) => (a === b ? WEEKDAYS[a] : `${WEEKDAYS[a]}${b - a > 1 ? '–' : ', '}${WEEKDAYS[b]}`)).join(', ');
+  };
+
+  /** Tooltip summary such as "usually online Mon–Fri 08:30–17:00". */
+  const profileSummary = (profile) => {
+    if (!profile) return 'not enough data for a typical schedule yet';
+    const spans = WEEKDAYS.map((_, wd) => usualSpan(profile, wd));
+    const days  = spans.map((sp, wd) => (sp ? wd : -1)).filter((wd) => wd >= 0);
+    if (!days.length) return 'no usual online hours yet';
+    const median = (xs) => xs.sort((a, b) => a - b)[Math.floor(xs.length / 2)];
+    const start = median(days.map((wd) => spans[wd].start));
+    const end   = median(days.map((wd) => spans[wd].end));
+    return `usually online ${fmtWeekdays(days)} ${fmtMinutes(start)}–${fmtMinutes(end)}`;
+  };
+
+  /** Next usual online time within a week from now (display zone), as a label; '' when unknown. */
+  const predictReturn = (profile) => {
+    if (!profile) return '';
+    const today = zonedParts(Date.now()).dayKey;
+    const base  = Math.floor(Date.now() / 3_600_000) * 3_600_000;
+    for (let i = 1; i <= 7 * 24; i++) {
+      const p = zonedParts(base + i * 3_600_000);
+      const slot = profile[weekdayOf(p.dayKey) * 24 + p.hour];
+      if (slot.p < PROFILE_USUAL_P) continue;
+      const at = fmtMinutes(p.hour * 60 + p.minute + Math.round((1 - slot.frac) * 4) * 15);
+      return p.dayKey === today ? at : `${WEEKDAYS[weekdayOf(p.dayKey)]} ${at}`;
+    }
+    return '';
+  };
+
+  const setSelecting = (on) => {
+    selecting = on;
+    $('#gmAU_Overlay').classList.toggle('gm--select', on);
+    $('#gmAU_SelectBar').hidden = !on;
+    $('#gmAU_btnSelect').setAttribute('aria-pressed', String(on));
+    if (!on) { selectedIds.clear(); setView(null); }
+    renderOverlay();
+  };
+
+  const toggleSelected = (userId) => {
+    if (selectedIds.has(userId)) selectedIds.delete(userId);
+    else selectedIds.add(userId);
+    renderOverlay();
+  };
+
+  /**
+   * Rank weekday×hour slots (display zone) by how often all users were active together over the
+   * stored horizon. An occurrence only counts when the script observed every one of them in that
+   * hour; activity uses the same `activeThresholdMin` rule as the heatmap.
+   */
+  const findOverlap = (store, ids) => {
+    const recs  = ids.map((id) => store.users[id] || { id, name: id, hourly: {} });
+    const slots = new Map();
+    for (const row of zonedDayRows(prefs.horizonDays)) {
+      const wd = weekdayOf(row.dayKey);
+      row.hours.forEach((keys, h) => {
+        if (!keys.length || !recs.every((rec) => hourCoverage(store, keys, rec))) return;
+        const key  = wd * 24 + h;
+        const slot = slots.get(key) || { wd, h, seen: 0, all: 0, per: recs.map(() => 0) };
+        const act  = recs.map((rec) => bucketClass(bucketOver(rec, keys)) === 'a');
+        slot.seen++;
+        if (act.every(Boolean)) slot.all++;
+        act.forEach((a, i) => { if (a) slot.per[i]++; });
+        slots.set(key, slot);
+      });
+    }
+    const ranked = [...slots.values()]
+      .map((sl) => ({ ...sl, score: sl.all / sl.seen, mean: sl.per.reduce((a, b) => a + b, 0) / (sl.seen * recs.length) }))
+      .sort((a, b) => b.score - a.score || b.mean - a.mean || b.seen - a.seen);
+    return { recs, slots, top: ranked.filter((sl) => sl.score > 0).slice(0, OVERLAP_TOP) };
+  };
+
+  /** Overlap view: top slots with per-person availability and a weekly score grid. */
+  const showOverlap = () => {
+    const store = loadStore();
+    const { recs, slots, top } = findOverlap(store, [...selectedIds]);
+    const hh = (h) => `${String(h).padStart(2, '0')}:00`;
+    const topKeys = new Set(top.map((sl) => sl.wd * 24 + sl.h));
+
+    const candidates = top.map((sl, i) => html`
+      <div class="gmAU_slot">
+        <div><b>${i + 1}. ${WEEKDAYS[sl.wd]} ${hh(sl.h)}–${hh((sl.h + 1) % 24)}</b>
+          <span class="gmAU_hint">all active ${sl.all} of ${sl.seen} observed day(s) (${Math.round(sl.score * 100)}%)</span></div>
+        <div class="gmAU_hint">${recs.map((rec, j) => `${rec.name || rec.id} ${sl.per[j]}/${sl.seen}`).join(' · ')}</div>
+      </div>`);
+
+    const grid = WEEKDAYS.map((wdName, wd) => html`
+      <div class="gmAU_week_row">
+        <span class="gmAU_hint">${wdName}</span>
+        <div class="gmTT_row">
+          ${Array.from({ length: 24 }, (_, h) => {
+            const sl = slots.get(wd * 24 + h);
+            if (!sl) return html`<div class="gmTT_cell n" title="${wdName} ${hh(h)} • not observed"></div>`;
+            const level = sl.score ? Math.max(1, Math.round(sl.score * 4)) : 0;
+            const cls = `${level ? `g${level}` : 'i'}${topKeys.has(wd * 24 + h) ? ' top' : ''}`;
+            return html`<div class="gmTT_cell ${cls}" title="${wdName} ${hh(h)} • all active ${sl.all}/${sl.seen}"></div>`;
+          })}
         </div>
-        <div class="gmTT_status ${status}">${statusText}</div>
+      </div>`);
+
+    $('#gmAU_Overlap').innerHTML = html`
+      <div class="gmAU_section">Best time to meet – ${recs.map((r) => r.name || r.id).join(', ')}</div>
+      <div class="gmAU_hint">Last ${prefs.horizonDays} days, hours in ${prefs.displayTimeZone === 'local' ? 'local time' : prefs.displayTimeZone}.</div>
+      ${candidates.length ? candidates : html`<div class="gmAU_hint">No hour yet where everyone was active together.</div>`}
+      <div class="gmAU_section">Week</div>
+      ${grid}
+      <div class="gmAU_actions">
+        <button class="gmAU_action" data-action="back">Back to list</button>
       </div>
+    `;
+    $('#gmAU_Overlap [data-action="back"]').addEventListener('click', () => setView(null));
+    hideTooltip();
+    setView('overlap');
+  };
+
+  // ──────────────────────────────────────────────────────────────────────────────
+  // Tooltip
+  // ──────────────────────────────────────────────────────────────────────────────
 
+  /** Place tooltip next to cursor, preferring left side when requested/needed. */
+  const placeTooltip = (tt, at, sidePref = 'auto') => {
+    const pad = 10;
+    tt.style.visibility = 'hidden';
+    tt.classList.remove('hidden');
+    const rect = tt.getBoundingClientRect();
+    let left = at.x + 12;
+    let top  = at.y;
+
+    const vw = innerWidth;
+    const vh = innerHeight;
+    const needLeft = (sidePref === 'left') || (left + rect.width + pad > vw);
+    if (needLeft) left = at.x - rect.width - 12;
+    if (top + rect.height + pad > vh) top = Math.max(pad, vh - rect.height - pad);
+    if (top < pad) top = pad;
+    if (left < pad) left = pad;
+    if (left + rect.width + pad > vw) left = Math.max(pad, vw - rect.width - pad);
+
+    tt.style.left = `${Math.round(left)}px`;
+    tt.style.top  = `${Math.round(top)}px`;
+    tt.style.visibility = 'visible';
+  };
+
+  /** Today's session strip (display-zone day, like the grid) with start/end times on hover and active spans listed. */
+  const renderDayTimeline = (sessions) => {
+    const dayStart = zonedDayStart(Date.now());
+    const dayEnd   = zonedDayStart(dayStart + 26 * 3_600_000);
+    const today = sessions
+      .map((ss) => ({ ...ss, from: Math.max(ss.start, dayStart), to: Math.min(ss.end || Date.now(), dayEnd) }))
+      .filter((ss) => ss.to > ss.from);
+    if (!today.length) return '';
+
+    const pct  = (ts) => ((ts - dayStart) / (dayEnd - dayStart) * 100).toFixed(2);
+    const span = (ss) => `${fmtClock(ss.start)} – ${ss.end ? fmtClock(ss.end) : 'now'}`;
+    const segs = today.map((ss) =>
+      html`<i class="gmTT_seg ${ss.state}" style="left:${pct(ss.from)}%;width:${(pct(ss.to) - pct(ss.from)).toFixed(2)}%"
+          title="${STATUS_LABEL[ss.state]} ${span(ss)} (${fmtDuration((ss.end || Date.now()) - ss.start)})"></i>`
+    );
+    const active = today.filter((ss) => ss.state === PRES.ACTIVE).map(span);
+
+    return html`
+      <div class="gmTT_timeline" title="Today">${segs}</div>
+      <div class="gmTT_sessions">${active.length ? `active: ${active.join(', ')}` : 'not active today'}</div>
+    `;
+  };
+
+  /** Heatmap rows for a record in the display zone; empty slots are DST gaps or later today. */
+  const buildHeatRows = (store, rec, days) => {
+    const nowHour = zonedParts(Date.now());
+    return zonedDayRows(days).map((row) => ({
+      ...row,
+      absence: absenceOnDay(rec, row),
+      cells: row.hours.map((keys, h) => {
+        const hh = `${String(h).padStart(2, '0')}:00`;
+        if (!keys.length) {
+          const later = row.dayKey === nowHour.dayKey && h > nowHour.hour;
+          return { keys, cls: later ? 'n' : 'x', title: `${row.label} • ${hh} • ${later ? 'later today' : 'skipped (DST)'}` };
+        }
+        const cell = hourCell(store, rec, keys);
+        const dst  = keys.length > 1 ? ` (${keys.length}× – DST)` : '';
+        return { keys, ...cell, title: `${row.label} • ${hh}${dst} • ${coverageText(cell.cov)}` };
+      })
+    }));
+  };
+
+  /** Status emoji as a small image when Slack provided one, else its name. */
+  const renderStatusEmoji = (src, name) =>
+    (safeImgUrl(src) ? html`<img class="gmTT_emoji" src="${safeImgUrl(src)}" alt="${name || ''}">` : (name || ''));
+
+  /** "Status history" list, newest first: "🏠 Working from home, Mon 08:02 – Mon 17:45". */
+  const renderStatusHistory = (rec) => {
+    const entries = (rec?.statusHistory || []).slice(-6).reverse();
+    if (!entries.length) return '';
+    return html`
+      <div class="gmTT_section">status history</div>
+      ${entries.map((st) => html`
+        <div class="gmTT_status_row">
+          ${renderStatusEmoji(st.src, st.short || st.emoji)} ${st.text || '(no text)'},
+          ${st.end ? `${fmtWeekdayTime(st.start)} – ${fmtWeekdayTime(st.end)} (${fmtDuration(st.end - st.start)})` : `since ${fmtWeekdayTime(st.start)}`}
+        </div>`)}
+    `;
+  };
+
+  /** Absence period overlapping a heatmap day row, if any. */
+  const absenceOnDay = (rec, row) => {
+    const keys = row.hours.flat();
+    if (!keys.length || !rec?.absences?.length) return null;
+    const from = Date.parse(keys[0]);
+    const to   = Date.parse(keys[keys.length - 1]) + 3_600_000;
+    return rec.absences.find((a) => a.start < to && (a.end || Date.now()) > from) || null;
+  };
+
+  /** Hour labels plus the day×hour grid for rows from `buildHeatRows` / `buildGroupRows`. */
+  const renderHeatGrid = (rows) => {
+    const hourLabels = ['00', '', '06', '', '12', '', '18', '', '23'];
+    return html`
       <div class="gmTT_hourlabels">
-        ${hourLabels.map((l) => `<span style="width:calc(100%/8);flex:0 0 auto">${l}</span>`).join('')}
+        ${hourLabels.map((l) => html`<span style="width:calc(100%/8);flex:0 0 auto">${l}</span>`)}
       </div>
 
       <div class="gmTT_grid">
-        ${rows.map((r, i) => `
-          <div class="gmTT_row" title="${dayLabels[i]}">
-            ${r.map((c) => {
-              const dt  = new Date(c.key);
-              const lab = dt.toLocaleTimeString('en-US', { hour: '2-digit' }) + ':00';
-              return `<div class="gmTT_cell ${c.cls}" title="${dayLabels[i]} • ${lab}"></div>`;
-            }).join('')}
+        ${rows.map((r) => html`
+          <div class="gmTT_row${r.absence ? ' absent' : ''}" title="${r.label}${r.absence ? ` • ${r.absence.icon} ${r.absence.label}` : ''}">
+            ${r.cells.map((c) => html`<div class="gmTT_cell ${c.cls}" title="${c.title}"></div>`)}
           </div>
-        `).join('')}
+        `)}
+      </div>
+    `;
+  };
+
+  /** Aggregate rows for several records: cell shade g1…g4 by the share of members active in that hour. */
+  const buildGroupRows = (store, recs, days) => {
+    const nowHour = zonedParts(Date.now());
+    return zonedDayRows(days).map((row) => ({
+      ...row,
+      cells: row.hours.map((keys, h) => {
+        const hh = `${String(h).padStart(2, '0')}:00`;
+        if (!keys.length) {
+          const later = row.dayKey === nowHour.dayKey && h > nowHour.hour;
+          return { keys, cls: later ? 'n' : 'x', title: `${row.label} • ${hh} • ${later ? 'later today' : 'skipped (DST)'}` };
+        }
+        const cov = hourCoverage(store, keys);
+        const active = recs.filter((rec) => bucketClass(bucketOver(rec, keys)) === 'a').length;
+        const level = active ? Math.max(1, Math.round(active / recs.length * 4)) : 0;
+        const cls = !cov && !active ? 'n' : `${level ? `g${level}` : 'i'}${cov < FULL_COVERAGE ? ' p' : ''}`;
+        return { keys, cls, cov, active, title: `${row.label} • ${hh} • ${active} of ${recs.length} active • ${coverageText(cov)}` };
+      })
+    }));
+  };
+
+  /** Aggregate heatmap of a group (or the ungrouped users) at a screen position. */
+  const showGroupTooltip = (name, opts) => {
+    const { x, y, side = 'auto', team = viewTeam } = (opts || {});
+    const tt = $('#gmAU_Tooltip'); if (!tt) return;
+
+    const store   = loadStore(team);
+    const users   = team === liveTeam ? liveUsers(store) : storedUsers(store);
+    const grouped = new Set(Object.values(prefs.groups).flat());
+    const ids     = name ? new Set(prefs.groups[name] || []) : new Set(users.map((u) => u.id).filter((id) => !grouped.has(id)));
+    const recs    = [...ids].map((id) => store.users[id]).filter(Boolean);
+    const active  = users.filter((u) => ids.has(u.id) && u.presence === PRES.ACTIVE).length;
+
+    patchHtml(tt, html`
+      <div class="gmTT_header">
+        <div>
+          <div class="gmTT_name">${name || 'Ungrouped'}</div>
+          <div class="gmTT_meta">${ids.size} member(s) • ${active} active now</div>
+        </div>
       </div>
 
+      ${renderHeatGrid(buildGroupRows(store, recs, prefs.horizonDays))}
+
+      <div class="gmTT_leg">
+        <span><i class="gmTT_dot g1"></i><i class="gmTT_dot g2"></i><i class="gmTT_dot g3"></i><i class="gmTT_dot g4"></i> share of members active</span>
+        <span><i class="gmTT_dot i"></i> none</span>
+        <span><i class="gmTT_dot n"></i> not observed</span>
+      </div>
+    `);
+    placeTooltip(tt, { x, y }, side);
+  };
+
+  /** Render tooltip for a user at a screen position (display-zone grid). */
+  const showTooltip = (userId, opts) => {
+    const { x, y, side = 'auto', team = viewTeam } = (opts || {});
+    const tt = $('#gmAU_Tooltip'); if (!tt) return;
+
+    const store = loadStore(team);
+    userId = store.aliases?.[userId] || userId;
+    const rec   = store.users[userId];
+    const live  = (team === liveTeam ? liveUsers(store) : storedUsers(store)).find((x) => x.id === userId);
+
+    // Mouse moves re-ask for the same user: reuse the markup until a scan or the live state changes.
+    const key = `${team}:${userId}`;
+    const sig = [storeRev(team), Math.floor(Date.now() / prefs.scanIntervalMs), live?.presence,
+      live?.customStatusText, live?.customStatusEmoji].join('|');
+    let cached = tooltipCache.get(key);
+    if (cached?.sig !== sig) tooltipCache.set(key, cached = { sig, markup: String(renderUserTooltip(store, rec, live)) });
+    patchHtml(tt, cached.markup);
+    placeTooltip(tt, { x, y }, side);
+  };
+
+  /** Rendered user tooltips per `team:user` with the state they were built from. */
+  const tooltipCache = new Map();
+
+  /** Tooltip body for a user: header, today's timeline, heatmap, legend and history. */
+  const renderUserTooltip = (store, rec, live) => {
+    const name   = rec?.name   || live?.name   || 'Unknown';
+    const avatar = rec?.avatar || live?.avatar || '';
+    const status = live?.presence || rec?.lastStatus || PRES.OFF;
+    const last   = (status === PRES.ACTIVE) ? Date.now() : (rec?.lastSeenActive || null);
+
+    // Build 10×24 grid: row 0 = today (display zone), row 9 = 10th day back
+    const rows = buildHeatRows(store, rec, prefs.horizonDays);
+
+    const statusText = STATUS_LABEL[status] || status;
+    const sessions = buildSessions(rec);
+    const current  = sessions[sessions.length - 1];
+    const ongoing  = current && !current.end && current.state === status ? current : null;
+    const sinceText = !ongoing ? `last seen: ${fmtSince(last)}`
+      : status === PRES.ACTIVE ? `active since ${fmtClock(ongoing.start)}`
+      : `${statusText} for ${fmtDuration(Date.now() - ongoing.start)} • last seen: ${fmtSince(last)}`;
+
+    const absence  = detectAbsence(live || rec);
+    const vacBadge = absence && ` • ${absence.icon ? `${absence.icon} ` : ''}${absenceText(absence, rec, live || rec)}`;
+    const past     = (rec?.absences || []).filter((a) => a.end).slice(-5).reverse();
+    const liveStatus = live || rec;
+    const statusNow  = !absence && (liveStatus?.customStatusText || liveStatus?.customStatusEmoji)
+      ? html` • ${renderStatusEmoji(liveStatus.customStatusSrc, liveStatus.customStatusEmojiShort || liveStatus.customStatusEmoji)} ${(liveStatus.customStatusText || '').trim()}`
+      : '';
+
+    return html`
+      <div class="gmTT_header">
+        <img class="gmTT_avatar" src="${safeImgUrl(avatar)}" alt="">
+        <div>
+          <div class="gmTT_name">${name}</div>
+          <div class="gmTT_meta">${sinceText}${vacBadge}${statusNow}</div>
+          <div class="gmTT_meta">${profileSummary(buildProfile(store, rec))}</div>
+        </div>
+        <div class="gmTT_status ${status}">${statusText}</div>
+      </div>
+
+      ${renderDayTimeline(sessions)}
+
+      ${renderHeatGrid(rows)}
+
       <div class="gmTT_leg">
         <span><i class="gmTT_dot a"></i> active</span>
         <span><i class="gmTT_dot w"></i> away</span>
         <span><i class="gmTT_dot d"></i> DND</span>
-        <span><i class="gmTT_dot i"></i> inactive</span>
+        <span><i class="gmTT_dot i"></i> offline</span>
+        <span><i class="gmTT_dot n"></i> not observed</span>
+        <span><i class="gmTT_dot a p"></i> partly observed</span>
       </div>
+
+      ${past.length > 0 && html`<div class="gmTT_section">past absences</div><div class="gmTT_status_row">${past.map((a) =>
+        `${a.icon} ${a.label} ${fmtDate(a.start)} – ${fmtDate(a.end)}`).join(' · ')}</div>`}
+
+      ${renderStatusHistory(rec)}
     `;
-    placeTooltip(tt, { x, y }, side);
   };
 
   const hideTooltip = () => { $('#gmAU_Tooltip')?.classList.add('hidden'); };
 
+  // ──────────────────────────────────────────────────────────────────────────────
+  // Pinned heatmap card (drill into hours, compare two users)
+  // ──────────────────────────────────────────────────────────────────────────────
+
+  /** Most day rows a pinned heatmap offers; rows past the hourly horizon come from the daily summaries. */
+  const PIN_MAX_DAYS = 90;
+
+  /** The pinned card: users, comparison mode, shown day/hour ranges and the selected cell. */
+  let pinState = null;
+
+  /** Pin a user's heatmap of the shown workspace as a floating card. */
+  const pinUser = (userId) => {
+    pinState = { team: viewTeam, userId, compareId: '', mode: 'side', days: prefs.horizonDays, hourFrom: 0, hourTo: 23, cell: null, rev: null };
+    hideTooltip();
+    renderPin();
+  };
+
+  const closePin = () => {
+    pinState = null;
+    $('#gmAU_Pin')?.remove();
+  };
+
+  /** Days from the oldest stored hour or daily summary of the records to today (at least the horizon). */
+  const pinMaxDays = (...recs) => {
+    const oldest = recs.flatMap((rec) => [...Object.keys(rec?.hourly || {}), ...Object.keys(rec?.daily || {})])
+      .map((k) => k.slice(0, 10)).sort()[0];
+    const span = oldest ? Math.round((Date.parse(zonedParts(Date.now()).dayKey) - Date.parse(oldest)) / 86_400_000) + 1 : 0;
+    return Math.min(PIN_MAX_DAYS, Math.max(prefs.horizonDays, span));
+  };
+
+  /**
+   * Heatmap rows for the pinned card. Days whose hourly buckets have expired are drawn from their
+   * daily summary: the hours from first to last activity in the calendar's shade, the rest offline.
+   */
+  const buildPinRows = (store, rec, days) => {
+    const daily = rec.daily || {};
+    return buildHeatRows(store, rec, days).map((row) => {
+      const sum = daily[row.dayKey];
+      if (!sum?.obs || row.cells.some((c) => !['n', 'x'].includes(c.cls))) return row;
+      const level = sum.a ? Math.min(4, Math.ceil(sum.a / CALENDAR_FULL_DAY_MIN * 4)) : 0;
+      const from  = sum.first ? zonedParts(sum.first).hour : 24;
+      const to    = sum.last ? zonedParts(sum.last).hour : -1;
+      const span  = sum.first ? `, ${fmtClock(sum.first)}–${fmtClock(sum.last)}` : '';
+      const title = `${row.label} • daily summary: active ${fmtDuration(sum.a * 60_000)} of ${fmtDuration(sum.obs * 60_000)} observed${span}`;
+      return {
+        ...row,
+        summary: sum,
+        cells: row.cells.map((c, h) => ({ keys: c.keys, cls: level && h >= from && h <= to ? `g${level}` : 'i', title }))
+      };
+    });
+  };
+
+  /** Cell of the difference view: who of the two was active in that hour. */
+  const diffCell = (a, b) => {
+    const ca = a.cls.split(' ')[0];
+    const cb = b.cls.split(' ')[0];
+    if (ca === 'x') return { cls: 'x', title: a.title };
+    if (ca === 'n' && cb === 'n') return { cls: 'n', title: a.title };
+    // Summary rows (g1…g4) count as active between first and last activity.
+    const actA = ca === 'a' || ca[0] === 'g';
+    const actB = cb === 'a' || cb[0] === 'g';
+    const cls = actA && actB ? 'both' : actA ? 'onlyA' : actB ? 'onlyB' : 'i';
+    return { cls, title: `${a.title.split(' • ').slice(0, 2).join(' • ')} • ${{ both: 'both active', onlyA: 'only first active', onlyB: 'only second active', i: 'neither active' }[cls]}` };
+  };
+
+  /** Day-labelled grid of the chosen hours; `cellOf(row, hour)` returns `{ cls, title }`. */
+  const renderPinGrid = (rows, cellOf) => {
+    const hours = Array.from({ length: pinState.hourTo - pinState.hourFrom + 1 }, (_, i) => pinState.hourFrom + i);
+    const sel = pinState.cell;
+    return html`
+      <div class="gmAU_pin_grid" style="grid-template-columns:64px repeat(${hours.length}, minmax(8px, 1fr))">
+        <span></span>
+        ${hours.map((h) => html`<span class="gmAU_pin_hour">${h % 3 === 0 || hours.length < 9 ? String(h).padStart(2, '0') : ''}</span>`)}
+        ${rows.map((r, i) => html`
+          <span class="gmAU_pin_day${r.absence ? ' absent' : ''}" title="${r.absence ? `${r.absence.icon} ${r.absence.label}` : ''}">${r.label}</span>
+          ${hours.map((h) => {
+            const c = cellOf(r, h);
+            const on = sel && sel.day === r.dayKey && sel.hour === h ? ' top' : '';
+            return html`<div class="gmTT_cell ${c.cls}${on}" data-cell="${r.dayKey}|${h}" data-row="${i}" title="${c.title}"></div>`;
+          })}`)}
+      </div>
+    `;
+  };
+
+  /** Exact sample counts and transitions of one user in the selected hour. */
+  const renderCellDetail = (store, rec, row, hour) => {
+    const keys = row.hours[hour];
+    const hh   = String(hour).padStart(2, '0');
+    if (row.summary) {
+      const sum = row.summary;
+      return html`
+        <div class="gmAU_pin_detail">
+          <b>${rec.name || rec.id}</b> • ${row.label} (hourly detail expired, daily summary)
+          <div>active ${fmtDuration(sum.a * 60_000)} • away ${fmtDuration(sum.w * 60_000)} • DND ${fmtDuration(sum.d * 60_000)}
+            of ${fmtDuration(sum.obs * 60_000)} observed${sum.first ? ` • first ${fmtClock(sum.first)}, last ${fmtClock(sum.last)}` : ''}</div>
+        </div>
+      `;
+    }
+    if (!keys.length) return html`<div class="gmAU_pin_detail"><b>${rec.name || rec.id}</b> • ${row.label} ${hh}:00 does not exist (DST).</div>`;
+    const hr    = bucketOver(rec, keys);
+    const scans = keys.reduce((n, k) => n + (scanIndex(store)[k] || 0), 0);
+    const start = Date.parse(keys[0]);
+    const end   = Date.parse(keys[keys.length - 1]) + 3_600_000;
+    const trans = (rec.transitions || []).filter((t) => t.ts >= start && t.ts < end);
+    return html`
+      <div class="gmAU_pin_detail">
+        <b>${rec.name || rec.id}</b> • ${row.label} ${hh}:00–${hh}:59
+        <div>${hr ? `active ${hr.a} • away ${hr.w} • DND ${hr.d} • seen ${hr.t}` : 'not seen'} of ${scans} scan(s) • ${coverageText(hourCoverage(store, keys, rec))}</div>
+        ${trans.length
+          ? html`<ul>${trans.map((t) => html`<li>${padIntlTime(t.ts)} ${t.from ? STATUS_LABEL[t.from] : 'unseen'} → ${t.to ? STATUS_LABEL[t.to] : 'unseen'}</li>`)}</ul>`
+          : html`<div class="gmAU_hint">No presence change in this hour.</div>`}
+      </div>
+    `;
+  };
+
+  /** (Re)draw the pinned card; without `force` only after the history changed. */
+  const renderPin = (force = true) => {
+    if (!pinState) return;
+    const rev = storeRev(pinState.team);
+    if (!force && rev === pinState.rev) return;
+    pinState.rev = rev;
+    const store = loadStore(pinState.team);
+    const rec   = store.users[pinState.userId];
+    if (!rec) { closePin(); return; }
+    const other = store.users[pinState.compareId] || null;
+    const max   = pinMaxDays(rec, other);
+    pinState.days = Math.min(pinState.days, max);
+
+    let card = $('#gmAU_Pin');
+    if (!card) {
+      card = document.createElement('div');
+      card.id = 'gmAU_Pin';
+      card.setAttribute('role', 'dialog');
+      card.tabIndex = -1;
+      card.innerHTML = `
+        <div class="gmAU_pin_head">
+          <b class="gmAU_pin_title"></b>
+          <span class="gmAU_report_spacer"></span>
+          <button class="gmAU_btn" data-pin="calendar" title="Monthly calendar">📅</button>
+          <button class="gmAU_btn" data-pin="close" title="Unpin" aria-label="Close pinned heatmap">✕</button>
+        </div>
+        <div class="gmAU_pin_controls"></div>
+        <div class="gmAU_pin_body"></div>
+        <div class="gmTT_leg"></div>
+        <div class="gmAU_pin_info"></div>`;
+      document.body.appendChild(card);
+      initPinCard(card);
+      force = true;
+    }
+
+    const rows  = buildPinRows(store, rec, pinState.days);
+    const rowsB = other && buildPinRows(store, other, pinState.days);
+    const nameA = rec.name || rec.id;
+    const nameB = other && (other.name || other.id);
+    const candidates = Object.values(store.users).filter((u) => u.id !== rec.id).sort((a, b) => (a.name || a.id).localeCompare(b.name || b.id));
+    const sel  = pinState.cell && rows.findIndex((r) => r.dayKey === pinState.cell.day);
+    const body = !other
+      ? renderPinGrid(rows, (r, h) => r.cells[h])
+      : pinState.mode === 'diff'
+        ? renderPinGrid(rows, (r, h) => diffCell(r.cells[h], rowsB[rows.indexOf(r)].cells[h]))
+        : html`<div class="gmAU_pin_pair">
+            <div><div class="gmTT_meta">${nameA}</div>${renderPinGrid(rows, (r, h) => r.cells[h])}</div>
+            <div><div class="gmTT_meta">${nameB}</div>${renderPinGrid(rowsB, (r, h) => r.cells[h])}</div>
+          </div>`;
+    const legend = other && pinState.mode === 'diff'
+      ? html`<span><i class="gmTT_dot both"></i> both active</span><span><i class="gmTT_dot onlyA"></i> only ${nameA}</span>
+          <span><i class="gmTT_dot onlyB"></i> only ${nameB}</span><span><i class="gmTT_dot i"></i> neither</span>`
+      : html`<span><i class="gmTT_dot a"></i> active</span><span><i class="gmTT_dot w"></i> away</span>
+          <span><i class="gmTT_dot d"></i> DND</span><span><i class="gmTT_dot i"></i> offline</span>`;
+    const summarized = [...rows, ...(rowsB || [])].some((r) => r.summary);
+
+    // Each part is patched on its own so a scan only touches the grid: the header is never
+    // replaced mid-drag, and the controls keep an open select or half-typed numbers.
+    card.setAttribute('aria-label', `Heatmap of ${nameA}`);
+    $('.gmAU_pin_title', card).textContent = `${nameA}${other ? ` vs ${nameB}` : ''}`;
+    $('[data-pin="calendar"]', card).setAttribute('aria-label', `Monthly calendar of ${nameA}`);
+    if (force) {
+      patchHtml($('.gmAU_pin_controls', card), html`
+        <label>Days <input type="number" data-pin-field="days" min="1" max="${max}" value="${pinState.days}"></label>
+        <label>Hours <input type="number" data-pin-field="hourFrom" min="0" max="23" value="${pinState.hourFrom}">
+          – <input type="number" data-pin-field="hourTo" min="0" max="23" value="${pinState.hourTo}"></label>
+        <label>Compare <select data-pin-field="compareId">
+          <option value="">nobody</option>
+          ${candidates.map((u) => html`<option value="${u.id}"${u.id === pinState.compareId ? ' selected' : ''}>${u.name || u.id}</option>`)}
+        </select></label>
+        ${other && html`<select data-pin-field="mode" aria-label="Comparison">
+          <option value="side"${pinState.mode === 'side' ? ' selected' : ''}>side by side</option>
+          <option value="diff"${pinState.mode === 'diff' ? ' selected' : ''}>difference</option>
+        </select>`}
+      `);
+    } else {
+      $('[data-pin-field="days"]', card).max = String(max);
+    }
+    patchHtml($('.gmAU_pin_body', card), body);
+    patchHtml($('.gmTT_leg', card), html`${legend}${summarized && html`<span><i class="gmTT_dot g2"></i> daily summary (first to last activity)</span>`}`);
+    patchHtml($('.gmAU_pin_info', card), sel >= 0 && pinState.cell
+      ? html`${renderCellDetail(store, rec, rows[sel], pinState.cell.hour)}${other && renderCellDetail(store, other, rowsB[sel], pinState.cell.hour)}`
+      : html`<div class="gmAU_hint">Click an hour for exact sample counts and presence changes.</div>`);
+  };
+
+  /** Card interactions: drag by the header, fields, cell selection, buttons, Escape. */
+  const initPinCard = (card) => {
+    card.addEventListener('click', (e) => {
+      const cell = e.target.closest('[data-cell]');
+      if (cell) {
+        const [day, hour] = cell.dataset.cell.split('|');
+        const same = pinState.cell?.day === day && pinState.cell?.hour === Number(hour);
+        pinState.cell = same ? null : { day, hour: Number(hour) };
+        renderPin();
+        return;
+      }
+      const action = e.target.closest('[data-pin]')?.dataset.pin;
+      if (action === 'close') closePin();
+      if (action === 'calendar') {
+        $('#gmAU_Overlay').classList.remove('gm--hidden');
+        setCollapsed(false);
+        showCalendar(pinState.userId);
+      }
+    });
+    card.addEventListener('change', (e) => {
+      const field = e.target.dataset.pinField;
+      if (!field) return;
+      if (field === 'compareId' || field === 'mode') pinState[field] = e.target.value;
+      else {
+        const n = Math.floor(Number(e.target.value));
+        pinState[field] = field === 'days' ? clamp(n || 1, 1, Number(e.target.max)) : clamp(n || 0, 0, 23);
+        if (pinState.hourFrom > pinState.hourTo) [pinState.hourFrom, pinState.hourTo] = [pinState.hourTo, pinState.hourFrom];
+      }
+      renderPin();
+    });
+    card.addEventListener('keydown', (e) => { if (e.key === 'Escape') closePin(); });
+    card.addEventListener('pointerdown', (e) => {
+      const head = e.target.closest('.gmAU_pin_head');
+      if (e.button !== 0 || !head || e.target.closest('button')) return;
+      const start = card.getBoundingClientRect();
+      const x0 = e.clientX;
+      const y0 = e.clientY;
+      head.setPointerCapture?.(e.pointerId);
+      const move = (ev) => {
+        card.style.left  = `${clamp(start.left + ev.clientX - x0, 0, innerWidth - start.width)}px`;
+        card.style.top   = `${clamp(start.top + ev.clientY - y0, 0, innerHeight - OVERLAY_PAD * 2)}px`;
+        card.style.right = 'auto';
+      };
+      const up = () => {
+        head.removeEventListener('pointermove', move);
+        head.removeEventListener('pointerup', up);
+        head.removeEventListener('pointercancel', up);
+      };
+      head.addEventListener('pointermove', move);
+      head.addEventListener('pointerup', up);
+      head.addEventListener('pointercancel', up);
+      e.preventDefault();
+    });
+    card.focus();
+  };
+
   // ──────────────────────────────────────────────────────────────────────────────
   // Slack DOM observation (render on changes)
   // ──────────────────────────────────────────────────────────────────────────────
 
+  /**
+   * Watch the sidebar list and the open member lists / profile cards themselves. Slack swaps
+   * these nodes out (workspace switch, reopened panes); page mutations only schedule a throttled
+   * lookup that re-attaches the observer when the set of watched nodes changed.
+   */
   const observeSidebar = () => {
-    const list = $(SEL.sidebarList);
-    if (!list) return false;
-    const rerender = throttle(renderOverlay, 400);
-    new MutationObserver(rerender).observe(list, { childList: true, subtree: true, attributes: true });
+    pickProfile();
+    if (!$(SEL.sidebarList)) return false;
+    const refresh = throttle(() => {
+      syncTeam();
+      pickProfile();
+      detectWatchChanges(enumerateUsers());
+      renderOverlay();
+    }, 400, true);
+    const rerender = () => { invalidateUsers(); refresh(); };
+    const ours    = '#gmAU_Overlay, #gmAU_Tooltip, #gmAU_Toasts, #gmAU_Pin, #gmAU_Report';
+    const watcher = new MutationObserver(rerender);
+    let watched = [];
+    const reattach = throttle(() => {
+      const sources = `${SEL.memberItem}, ${SEL.profileCard}`;
+      const list = $(SEL.sidebarList);
+      const next = [list, ...$$(sources).filter((el) => !el.parentElement?.closest(sources) && !el.closest(ours))]
+        .filter(Boolean);
+      if (next.length === watched.length && next.every((el, i) => el === watched[i])) return;
+      watcher.disconnect();
+      next.forEach((el) => watcher.observe(el, { childList: true, subtree: true, attributes: true }));
+      watched = next;
+      rerender();
+    }, 400, true);
+    new MutationObserver(reattach).observe(document.body, { childList: true, subtree: true });
+    reattach();
     return true;
   };
 
+  // ──────────────────────────────────────────────────────────────────────────────
+  // In-page API (window.slackPresenceOverlay) and presence events for other scripts
+  // ──────────────────────────────────────────────────────────────────────────────
+
+  /** The page's window; userscript managers may run us in a sandbox with its own `window`. */
+  const pageWindow = typeof unsafeWindow === 'object' && unsafeWindow ? unsafeWindow : window;
+
+  /** Make a value readable by page scripts (Firefox sandboxes need explicit clones). */
+  const toPage = (value) => (typeof cloneInto === 'function' ? cloneInto(value, pageWindow, { cloneFunctions: true }) : value);
+
+  /** Heatmap cell classes as API states. */
+  const HEAT_STATES = { a: 'active', w: 'away', d: 'dnd', i: 'inactive', n: 'unobserved', x: 'skipped' };
+
+  /** User as returned by the API: live presence when the sidebar shows them, else the last stored one. */
+  const apiUser = (rec, live) => {
+    const absence = live ? detectAbsence(live) : null;
+    const open    = (rec?.absences || []).find((ab) => !ab.end);
+    return {
+      id: live?.id || rec?.id,
+      name: live?.name || rec?.name || rec?.id || live?.id,
+      avatar: safeImgUrl(live?.avatar || rec?.avatar),
+      live: !!live,
+      presence: live ? live.presence : rec?.lastStatus ?? null,
+      absence: absence ? { category: absence.category, label: absence.label || absence.category, icon: absence.icon || '' }
+        : !live && open ? { category: open.category, label: open.label, icon: open.icon } : null,
+      statusText: (live?.hasStatus ? live.customStatusText : rec?.customStatusText) || '',
+      statusEmoji: (live?.hasStatus ? live.customStatusEmojiShort || live.customStatusEmoji : rec?.customStatusEmojiShort || rec?.customStatusEmoji) || '',
+      lastSeenActive: rec?.lastSeenActive ?? null,
+      updatedAt: rec?.updatedAt ?? null
+    };
+  };
+
+  /** Stored record of a tracked user of this tab's workspace (channel ids are resolved). */
+  const apiRecord = (id) => {
+    const store = loadStore(liveTeam);
+    const uid   = store.aliases?.[id] || id;
+    return notTracked().has(uid) ? null : store.users[uid] || null;
+  };
+
+  /** Set while `api.scan` runs, so a scan requested from one of its own event listeners is refused. */
+  let apiScanning = false;
+
+  const api = {
+    version: API_VERSION,
+
+    /** Recording state of this tab. */
+    getStatus: () => ({
+      team: liveTeam,
+      workspace: workspaceName(liveTeam),
+      leader: Leader.isLeader,
+      paused: isPaused(),
+      lastScanAt: loadStore(liveTeam).lastScanAt || null
+    }),
+
+    /** Users currently shown in the Slack sidebar and member lists, with their presence. */
+    getUsers: () => {
+      const store = loadStore(liveTeam);
+      return liveUsers(store).map((u) => apiUser(store.users[u.id], u));
+    },
+
+    /** One user (live when visible, else from the history) or null. */
+    getUser: (id) => {
+      const rec  = apiRecord(String(id));
+      const live = liveUsers(loadStore(liveTeam)).find((u) => u.id === (rec?.id || String(id)));
+      return rec || live ? apiUser(rec, live) : null;
+    },
+
+    /** A copy of the stored history: hourly sample counts, transitions, sessions, absences, daily summaries. */
+    getHistory: (id) => {
+      const rec = apiRecord(String(id));
+      if (!rec) return null;
+      return JSON.parse(JSON.stringify({
+        id: rec.id,
+        name: rec.name,
+        hourly: rec.hourly,
+        transitions: rec.transitions,
+        sessions: buildSessions(rec),
+        absences: rec.absences || [],
+        statusHistory: rec.statusHistory || [],
+        daily: dailySummaries(rec)
+      }));
+    },
+
+    /** The tooltip heatmap: one row per display-zone day (today first) with 24 hourly states. */
+    getHeatmap: (id, days = prefs.horizonDays) => {
+      const rec = apiRecord(String(id));
+      if (!rec) return null;
+      const n = Math.min(prefs.horizonDays, Math.max(1, Math.floor(Number(days)) || prefs.horizonDays));
+      return buildHeatRows(loadStore(liveTeam), rec, n).map((row) => ({
+        day: row.dayKey,
+        absence: row.absence?.category || null,
+        hours: row.cells.map((c) => ({ state: HEAT_STATES[c.cls.split(' ')[0]], coverage: c.cov ?? null }))
+      }));
+    },
+
+    /** Scan now; `sampled` is false when another tab records, recording is paused or the last scan was just now. */
+    scan: () => {
+      if (apiScanning) return { sampled: false, leader: Leader.isLeader, paused: isPaused() };
+      const before = loadStore(liveTeam).lastScanAt;
+      apiScanning = true;
+      try { logPresenceOnce(); } finally { apiScanning = false; }
+      return { sampled: loadStore(liveTeam).lastScanAt !== before, leader: Leader.isLeader, paused: isPaused() };
+    }
+  };
+
+  /** Publish the API once; methods return plain copies, so callers cannot change the history. */
+  const exposeApi = () => {
+    if (pageWindow[API_GLOBAL]) return;
+    const wrapped = Object.fromEntries(Object.entries(api).map(([k, v]) =>
+      [k, typeof v === 'function' ? (...args) => toPage(v(...args)) : v]));
+    Object.defineProperty(pageWindow, API_GLOBAL, { value: Object.freeze(toPage(wrapped)), configurable: true });
+  };
+
+  /** Fire `slack-presence:<type>` CustomEvents on the page window. */
+  const dispatchApiEvents = (events) => {
+    for (const { type, detail } of events) {
+      pageWindow.dispatchEvent(new pageWindow.CustomEvent(`${API_EVENT_PREFIX}${type}`, { detail: toPage(detail) }));
+    }
+  };
+
+  /** Events of one scan, fired here and relayed to the other tabs of this workspace. */
+  const emitScanEvents = (store, users, changes) => {
+    const ts = Date.now();
+    const events = [];
+    for (const { u, before } of changes) {
+      const rec = store.users[u.id];
+      if (before.presence !== u.presence) {
+        events.push({ type: 'presence', detail: { team: liveTeam, id: u.id, name: u.name, from: before.presence, to: u.presence, ts } });
+      }
+      const to = openAbsence(rec);
+      if (before.absence !== to) {
+        // Label of the absence that started, or of the one that just ended.
+        const ab = [...(rec.absences || [])].reverse().find((x) => x.category === (to || before.absence));
+        events.push({ type: 'vacation', detail: { team: liveTeam, id: u.id, name: u.name, from: before.absence,
+          to, label: ab?.label || '', statusText: rec.customStatusText || '', ts } });
+      }
+    }
+    const seen = users.filter((u) => u.presence);
+    events.push({ type: 'scan', detail: { team: liveTeam, ts, users: seen.length,
+      active: seen.filter((u) => u.presence === PRES.ACTIVE).length, changes: events.length } });
+    dispatchApiEvents(events);
+    broadcast('events', { team: liveTeam, events });
+  };
+
   // ──────────────────────────────────────────────────────────────────────────────
   // Bootstrapping
   // ──────────────────────────────────────────────────────────────────────────────
@@ -667,7 +4148,11 @@
   const init = () => {
     injectCss();
     ensureOverlay();
-    logPresenceOnce();
+    registerWorkspace(liveTeam);
+    exposeApi();
+    Leader.start();
+    // Give the election a moment so a fresh tab does not sample alongside the current leader.
+    setTimeout(logPresenceOnce, 800);
 
     const tryObs = () => observeSidebar() || setTimeout(tryObs, 1_000);
     tryObs();
@@ -676,6 +4161,6 @@
   };
 
   const readyInterval = setInterval(() => {
-    if ($(SEL.sidebarList)) { clearInterval(readyInterval); init(); }
+    if (SEL_PROFILES.some((p) => $(p.sidebarList))) { clearInterval(readyInterval); init(); }
   }, 400);
 })();
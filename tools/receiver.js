@@ -0,0 +1,78 @@
+#!/usr/bin/env node
+// Minimal receiver for the overlay's HTTP push (no dependencies).
+//
+//   node tools/receiver.js                      # listens on http://localhost:8787/presence
+//   PORT=9000 TOKEN=secret OUT=presence.jsonl node tools/receiver.js
+//
+// TOKEN makes the receiver require "Authorization: Bearer <TOKEN>" (set the same value in the
+// overlay settings); OUT appends every received event as one JSON line. FAIL=0.5 rejects that
+// share of requests with HTTP 503 to watch the overlay's retry and backoff.
+
+'use strict';
+
+const http = require('http');
+const fs   = require('fs');
+
+const PORT  = Number(process.env.PORT) || 8787;
+const HOST  = process.env.HOST || '127.0.0.1';
+const TOKEN = process.env.TOKEN || '';
+const OUT   = process.env.OUT || '';
+const FAIL  = Number(process.env.FAIL) || 0;
+const MAX_BODY = 5 * 1024 * 1024;
+
+const reply = (res, status, body) => {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+};
+
+const time = (ts) => new Date(ts).toLocaleTimeString('en-US', { hour12: false });
+
+/** One console line per event; malformed events get a note instead of crashing the receiver. */
+const describe = (e) => {
+  if (!e || typeof e !== 'object') return `malformed event: ${JSON.stringify(e)}`;
+  if (e.type === 'scan') {
+    if (!Array.isArray(e.users)) return `${time(e.ts)} scan    malformed (no "users" array)`;
+    const active = e.users.filter((u) => u?.presence === 'active').length;
+    return `${time(e.ts)} scan    ${e.users.length} users, ${active} active`;
+  }
+  const from = e.from?.presence || 'new';
+  const absence = e.absence ? ` (${e.absence})` : '';
+  return `${time(e.ts)} change  ${e.name || e.id}: ${from} → ${e.presence}${absence}`;
+};
+
+const server = http.createServer((req, res) => {
+  if (req.method !== 'POST') return reply(res, 405, { error: 'POST JSON to this URL' });
+  if (TOKEN && req.headers.authorization !== `Bearer ${TOKEN}`) return reply(res, 401, { error: 'bad token' });
+  if (FAIL && Math.random() < FAIL) return reply(res, 503, { error: 'simulated outage' });
+
+  let body = '';
+  req.setEncoding('utf8');
+  req.on('data', (chunk) => {
+    body += chunk;
+    if (body.length > MAX_BODY) { reply(res, 413, { error: 'too large' }); req.destroy(); }
+  });
+  req.on('end', () => {
+    let batch;
+    try {
+      batch = JSON.parse(body);
+      if (!Array.isArray(batch.events)) throw new Error('no "events" array');
+    } catch (err) {
+      return reply(res, 400, { error: err.message });
+    }
+    console.log(`← ${batch.events.length} event(s) from ${batch.workspace || batch.team || 'Slack'}`);
+    for (const e of batch.events) {
+      try {
+        console.log(`  ${describe(e)}`);
+      } catch (err) {
+        console.log(`  unreadable event: ${err.message}`);
+      }
+    }
+    if (OUT) fs.appendFileSync(OUT, batch.events.map((e) => `${JSON.stringify({ team: batch.team, ...e })}\n`).join(''));
+    reply(res, 200, { received: batch.events.length });
+  });
+});
+
+server.listen(PORT, HOST, () => {
+  console.log(`Listening on http://${HOST === '127.0.0.1' ? 'localhost' : HOST}:${PORT}/presence` +
+    `${TOKEN ? ' (token required)' : ''}${OUT ? `, appending to ${OUT}` : ''}`);
+});